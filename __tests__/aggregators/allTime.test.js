@@ -0,0 +1,46 @@
+// __tests__/aggregators/allTime.test.js
+
+import { fetchAllTimeLeaderboard } from '../../lib/aggregators/allTime';
+import { fetchLeagueHistory } from '../../lib/aggregators/history';
+import { createFixtureClient, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchAllTimeLeaderboard', () => {
+  it('loads every season of the lineage once', async () => {
+    const requests = [];
+    await fetchAllTimeLeaderboard(createFixtureClient((url, fetcher) => {
+      requests.push(url);
+      return fetcher(url);
+    }), LEAGUE_IDS[2024]);
+
+    expect(requests.filter(url => url.endsWith('/rosters'))).toHaveLength(3);
+    expect(requests.filter(url => url.endsWith(`/league/${LEAGUE_IDS[2024]}`))).toHaveLength(1);
+  });
+
+  it('counts last places from the final placements, not the regular-season standings', async () => {
+    const client = createFixtureClient();
+    const [leaderboard, { seasons }] = await Promise.all([
+      fetchAllTimeLeaderboard(client, LEAGUE_IDS[2024]),
+      fetchLeagueHistory(client, LEAGUE_IDS[2024]),
+    ]);
+    const lastPlaces = seasons
+      .filter(entry => entry.status === 'complete')
+      .map(entry => entry.placements[entry.placements.length - 1].manager_id);
+
+    leaderboard.forEach(career => {
+      expect(career.last_places).toBe(lastPlaces.filter(managerId => managerId === career.manager_id).length);
+    });
+    expect(leaderboard.find(career => career.name === 'Rookie Mistake').last_places).toBeGreaterThan(0);
+  });
+
+  it('leaves out a season that fails to load instead of failing the leaderboard', async () => {
+    const complete = await fetchAllTimeLeaderboard(createFixtureClient(), LEAGUE_IDS[2024]);
+    const leaderboard = await fetchAllTimeLeaderboard(
+      createFixtureClient(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2022]}/rosters`))),
+      LEAGUE_IDS[2024],
+    );
+
+    expect(leaderboard.length).toBeGreaterThan(0);
+    const seasonsPlayed = (rows) => rows.reduce((sum, career) => sum + career.seasons, 0);
+    expect(seasonsPlayed(leaderboard)).toBeLessThan(seasonsPlayed(complete));
+  });
+});
@@ -0,0 +1,120 @@
+// __tests__/aggregators/bracket.test.js
+
+import { describeBracket, fetchPlayoffBracket } from '../../lib/aggregators/bracket';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+// A context where roster N is seed N and scores nothing yet
+const context = {
+  team: (rosterId) => ({ roster_id: rosterId, seed: rosterId, manager_id: `m${rosterId}`, owner: `Owner ${rosterId}`, team_name: null }),
+  roundPoints: new Map(),
+  roundWeeks: new Map([[1, [15]], [2, [16]], [3, [17]]]),
+};
+const winners = { isWinners: true, placeOffset: 0 };
+
+describe('describeBracket', () => {
+  it('finds the byes of a 6-team bracket', () => {
+    const bracket = [
+      { r: 1, m: 1, t1: 3, t2: 6 },
+      { r: 1, m: 2, t1: 4, t2: 5 },
+      { r: 2, m: 3, t1: 1, t2_from: { w: 2 } },
+      { r: 2, m: 4, t1: 2, t2_from: { w: 1 } },
+      { r: 2, m: 5, t1_from: { l: 1 }, t2_from: { l: 2 }, p: 5 },
+      { r: 3, m: 6, t1_from: { w: 3 }, t2_from: { w: 4 }, p: 1 },
+      { r: 3, m: 7, t1_from: { l: 3 }, t2_from: { l: 4 }, p: 3 },
+    ];
+    const { rounds, byes } = describeBracket(bracket, context, winners);
+
+    expect(byes.map(team => [team.seed, team.round])).toEqual([[1, 2], [2, 2]]);
+    expect(rounds.map(round => round.games.map(game => game.label))).toEqual([
+      ['Quarterfinal', 'Quarterfinal'],
+      ['Semifinal', 'Semifinal', '5th place game'],
+      ['Championship', '3rd place game'],
+    ]);
+    // Undecided sides say where their team comes from
+    expect(rounds[1].games[0].teams[1]).toMatchObject({ roster_id: null, from: { match: 2, result: 'winner' } });
+    expect(rounds[2].weeks).toEqual([17]);
+  });
+
+  it('names the rounds of an 8-team bracket', () => {
+    const bracket = [
+      { r: 1, m: 1, t1: 1, t2: 8 },
+      { r: 1, m: 2, t1: 4, t2: 5 },
+      { r: 1, m: 3, t1: 3, t2: 6 },
+      { r: 1, m: 4, t1: 2, t2: 7 },
+      { r: 2, m: 5, t1_from: { w: 1 }, t2_from: { w: 2 } },
+      { r: 2, m: 6, t1_from: { w: 3 }, t2_from: { w: 4 } },
+      { r: 2, m: 7, t1_from: { l: 1 }, t2_from: { l: 2 } },
+      { r: 3, m: 8, t1_from: { w: 5 }, t2_from: { w: 6 }, p: 1 },
+      { r: 3, m: 9, t1_from: { l: 5 }, t2_from: { l: 6 }, p: 3 },
+    ];
+    const { rounds, byes } = describeBracket(bracket, context, winners);
+
+    expect(byes).toEqual([]);
+    expect(rounds[0].games.map(game => game.label)).toEqual(['Quarterfinal', 'Quarterfinal', 'Quarterfinal', 'Quarterfinal']);
+    expect(rounds[1].games.map(game => game.label)).toEqual(['Semifinal', 'Semifinal', 'Consolation']);
+  });
+
+  it('places losers-bracket games after the playoff teams', () => {
+    const bracket = [
+      { r: 1, m: 1, t1: 7, t2: 10 },
+      { r: 1, m: 2, t1: 8, t2: 9 },
+      { r: 2, m: 3, t1_from: { w: 1 }, t2_from: { w: 2 }, p: 1 },
+      { r: 2, m: 4, t1_from: { l: 1 }, t2_from: { l: 2 }, p: 3 },
+    ];
+    const { rounds } = describeBracket(bracket, context, { isWinners: false, placeOffset: 6 });
+
+    expect(rounds[0].games.map(game => game.label)).toEqual(['Consolation', 'Consolation']);
+    expect(rounds[1].games.map(game => [game.label, game.place])).toEqual([['7th place game', 7], ['9th place game', 9]]);
+  });
+});
+
+describe('fetchPlayoffBracket', () => {
+  it('lays out a finished season with seeds, scores and placements', async () => {
+    const bracket = await fetchPlayoffBracket(createFixtureClient(), LEAGUE_IDS[2023]);
+
+    expect(bracket).toMatchObject({ season: '2023', status: 'complete', playoff_teams: 4 });
+    expect(bracket.winners.rounds.map(round => round.weeks)).toEqual([[15], [16]]);
+    expect(bracket.winners.byes).toEqual([]);
+
+    const [semifinal] = bracket.winners.rounds[0].games;
+    expect(semifinal.label).toBe('Semifinal');
+    expect(semifinal.teams.map(team => [team.seed, team.owner, team.points])).toEqual([
+      [1, 'Gridiron Guru', 66.87],
+      [4, 'Fourth And One', 88.01],
+    ]);
+
+    const [championship, thirdPlace] = bracket.winners.rounds[1].games;
+    expect(championship).toMatchObject({ label: 'Championship', place: 1, winner_roster_id: 5 });
+    expect(championship.teams.map(team => team.points)).toEqual([93.98, 82.09]);
+    expect(championship.teams[0].from).toEqual({ match: 1, result: 'winner' });
+    expect(thirdPlace).toMatchObject({ label: '3rd place game', place: 3 });
+
+    // The toilet bowl decides 5th place
+    expect(bracket.losers.rounds[0].games[0]).toMatchObject({ label: '5th place game', place: 5 });
+    expect(bracket.placements.map(p => p.owner)).toEqual([
+      'Fourth And One', 'Bench Warmer', 'Waiver Wire Wizard', 'Gridiron Guru', 'Punt God', 'Rookie Mistake',
+    ]);
+  });
+
+  it('names each placement game after the place its winner finishes in', async () => {
+    const bracket = await fetchPlayoffBracket(createFixtureClient(), LEAGUE_IDS[2023]);
+    const placeOf = new Map(bracket.placements.map(placement => [placement.roster_id, placement.place]));
+    const placementGames = [bracket.winners, bracket.losers]
+      .flatMap(side => side.rounds.flatMap(round => round.games))
+      .filter(game => game.place);
+
+    expect(placementGames.map(game => game.label)).toEqual(['Championship', '3rd place game', '5th place game']);
+    placementGames.forEach((game) => {
+      expect(placeOf.get(game.winner_roster_id)).toBe(game.place);
+      expect(placeOf.get(game.loser_roster_id)).toBe(game.place + 1);
+    });
+  });
+
+  it('returns empty brackets before the playoffs are set', async () => {
+    const bracket = await fetchPlayoffBracket(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(bracket.status).toBe('in_season');
+    expect(bracket.winners.rounds).toEqual([]);
+    expect(bracket.placements).toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+// __tests__/aggregators/drafts.test.js
+
+import { fetchDraftBoards } from '../../lib/aggregators/drafts';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchDraftBoards', () => {
+  it('lays out the board by draft slot', async () => {
+    const { season, drafts: [draft] } = await fetchDraftBoards(createFixtureClient(), LEAGUE_IDS[2023]);
+
+    expect(season).toBe('2023');
+    expect(draft).toMatchObject({ type: 'snake', status: 'complete', rounds: 2 });
+    expect(draft.slots.map(slot => slot.owner)).toEqual([
+      'Waiver Wire Wizard', 'Fourth And One', 'Gridiron Guru', 'Rookie Mistake', 'Bench Warmer', 'Punt God',
+    ]);
+    expect(draft.picks).toHaveLength(12);
+    expect(draft.picks[0]).toMatchObject({ round: 1, pick_no: 1, draft_slot: 1, owner: 'Waiver Wire Wizard', player_name: 'Justin Higgins', position: 'RB', team: 'DEN' });
+  });
+
+  it('marks a pick made by someone other than the slot\'s owner as traded', async () => {
+    const { drafts: [draft] } = await fetchDraftBoards(createFixtureClient(), LEAGUE_IDS[2023]);
+
+    expect(draft.picks.filter(pick => pick.traded)).toEqual([
+      expect.objectContaining({
+        round: 2,
+        pick_no: 7,
+        draft_slot: 6,
+        owner: 'Gridiron Guru',
+        manager_id: '461734009312534528',
+        original_owner: 'Punt God',
+        player_name: 'Zay Flowers',
+      }),
+    ]);
+  });
+
+  it('returns no drafts for a season without one', async () => {
+    const { drafts } = await fetchDraftBoards(createFixtureClient(), LEAGUE_IDS[2022]);
+
+    expect(drafts).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+// __tests__/aggregators/headToHead.test.js
+
+import { fetchHeadToHead } from '../../lib/aggregators/headToHead';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+const GRIDIRON_GURU = '461734009312534528';
+const WAIVER_WIRE_WIZARD = '462219804113047552';
+const TANK_COMMANDER = '471188229112619008';
+
+describe('fetchHeadToHead', () => {
+  it('adds up every game between two managers across seasons', async () => {
+    const { seasons, matrix } = await fetchHeadToHead(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(seasons).toEqual(['2024', '2023', '2022']);
+    expect(matrix[GRIDIRON_GURU][WAIVER_WIRE_WIZARD]).toMatchObject({ wins: 7, losses: 2, ties: 0, games: 9 });
+  });
+
+  it('mirrors each record from the opponent\'s side', async () => {
+    const { matrix } = await fetchHeadToHead(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    Object.entries(matrix).forEach(([managerId, opponents]) => {
+      Object.entries(opponents).forEach(([opponentId, record]) => {
+        const mirror = matrix[opponentId][managerId];
+        expect([mirror.wins, mirror.losses, mirror.games, mirror.points_for]).toEqual([record.losses, record.wins, record.games, record.points_against]);
+      });
+    });
+  });
+
+  it('keeps managers who left the league', async () => {
+    const { managers, matrix } = await fetchHeadToHead(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(managers.find(manager => manager.manager_id === TANK_COMMANDER).name).toBe('Tank Commander');
+    expect(matrix[GRIDIRON_GURU][TANK_COMMANDER]).toMatchObject({ wins: 3, losses: 0, games: 3 });
+    expect(matrix[GRIDIRON_GURU][TANK_COMMANDER].biggest_win).toEqual({
+      season: '2022', week: 11, points_for: 119.05, points_against: 61.87, margin: 57.18,
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// __tests__/aggregators/history.test.js
+
+import { fetchLeagueHistory, getPlayoffRoundWeeks } from '../../lib/aggregators/history';
+import { createFixtureClient, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchLeagueHistory', () => {
+  it('walks every season of the lineage, newest first', async () => {
+    const { seasons, failed_seasons } = await fetchLeagueHistory(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(seasons.map(entry => entry.season)).toEqual(['2024', '2023', '2022']);
+    expect(failed_seasons).toEqual([]);
+    expect(seasons.map(entry => entry.league_id)).toEqual([LEAGUE_IDS[2024], LEAGUE_IDS[2023], LEAGUE_IDS[2022]]);
+  });
+
+  it('reads champions, runners-up and third place from the brackets', async () => {
+    const { seasons: [, season2023, season2022] } = await fetchLeagueHistory(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(season2023).toMatchObject({
+      champion_source: 'bracket',
+      champion: 'Fourth And One',
+      runner_up: 'Bench Warmer',
+      third_place: 'Waiver Wire Wizard',
+      regular_season_leader: 'Gridiron Guru',
+      championship_score: { weeks: [16], winner_points: 93.98, loser_points: 82.09 },
+    });
+    expect(season2022.champion).toBe('Waiver Wire Wizard');
+  });
+
+  it('places every team, continuing the losers bracket after the playoff teams', async () => {
+    const { seasons: [, season2023] } = await fetchLeagueHistory(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(season2023.placements.map(({ place, owner }) => `${place}. ${owner}`)).toEqual([
+      '1. Fourth And One',
+      '2. Bench Warmer',
+      '3. Waiver Wire Wizard',
+      '4. Gridiron Guru',
+      '5. Punt God',
+      '6. Rookie Mistake',
+    ]);
+    expect(season2023.playoff_manager_ids).toHaveLength(4);
+  });
+
+  it('reports a season that is still running without a champion', async () => {
+    const { seasons: [season2024] } = await fetchLeagueHistory(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(season2024).toMatchObject({
+      status: 'in_season',
+      champion_source: 'in_progress',
+      champion: null,
+      placements: [],
+    });
+  });
+
+  it('falls back to the regular-season leader when a finished season has no bracket', async () => {
+    const client = createFixtureClient(async (url, fetcher) => (url.endsWith(`${LEAGUE_IDS[2022]}/winners_bracket`)
+      ? { ok: false, status: 404, statusText: 'Not Found', json: async () => null }
+      : fetcher(url)));
+    const { seasons } = await fetchLeagueHistory(client, LEAGUE_IDS[2024]);
+    const season2022 = seasons.find(entry => entry.season === '2022');
+
+    expect(season2022.champion_source).toBe('regular_season');
+    expect(season2022.champion).toBe(season2022.regular_season_leader);
+  });
+
+  it('keeps the other seasons and reports a season that fails', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2023]}/rosters`)));
+    const { seasons, failed_seasons } = await fetchLeagueHistory(client, LEAGUE_IDS[2024]);
+
+    expect(seasons.map(entry => entry.season)).toEqual(['2024', '2022']);
+    expect(failed_seasons).toEqual([
+      { league_id: LEAGUE_IDS[2023], season: '2023', status: 503, error: expect.stringContaining('rosters') },
+    ]);
+  });
+
+  it('reports where the lineage broke when an earlier league cannot be fetched', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.includes(LEAGUE_IDS[2022])));
+    const { seasons, failed_seasons } = await fetchLeagueHistory(client, LEAGUE_IDS[2024]);
+
+    expect(seasons.map(entry => entry.season)).toEqual(['2024', '2023']);
+    expect(failed_seasons).toEqual([
+      { league_id: LEAGUE_IDS[2022], season: null, status: 503, error: expect.any(String) },
+    ]);
+  });
+
+  it('fails when not a single season can be loaded', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.endsWith('/rosters')));
+
+    await expect(fetchLeagueHistory(client, LEAGUE_IDS[2024])).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('rejects an unknown league with a 404', async () => {
+    await expect(fetchLeagueHistory(createFixtureClient(), '123')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('getPlayoffRoundWeeks', () => {
+  const league = (playoffRoundType) => ({ settings: { playoff_week_start: 15, playoff_round_type: playoffRoundType } });
+
+  it('gives every round one week by default', () => {
+    expect(getPlayoffRoundWeeks(league(0), 1, 3)).toEqual([15]);
+    expect(getPlayoffRoundWeeks(league(0), 3, 3)).toEqual([17]);
+  });
+
+  it('spans two weeks for a two-week championship', () => {
+    expect(getPlayoffRoundWeeks(league(1), 2, 3)).toEqual([16]);
+    expect(getPlayoffRoundWeeks(league(1), 3, 3)).toEqual([17, 18]);
+  });
+
+  it('spans two weeks per round when every round is two weeks', () => {
+    expect(getPlayoffRoundWeeks(league(2), 2, 2)).toEqual([17, 18]);
+  });
+});
@@ -0,0 +1,108 @@
+// __tests__/aggregators/lineups.test.js
+
+import { buildSeasonLineups, fetchCoachingLeaderboard, fetchSeasonLineups, getStartingSlots, optimizeLineup } from '../../lib/aggregators/lineups';
+import { fetchAllTimeLeaderboard } from '../../lib/aggregators/allTime';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+const player = (player_id, position, points) => ({ player_id, positions: [position], points });
+
+describe('optimizeLineup', () => {
+  it('fills fixed slots before flex slots', () => {
+    const slots = getStartingSlots(['QB', 'RB', 'WR', 'FLEX', 'SUPER_FLEX', 'BN', 'BN', 'IR']);
+    const { starters, points } = optimizeLineup(slots, [
+      player('qb1', 'QB', 20),
+      player('qb2', 'QB', 18),
+      player('rb1', 'RB', 25),
+      player('rb2', 'RB', 9),
+      player('wr1', 'WR', 12),
+      player('wr2', 'WR', 11),
+    ]);
+
+    expect(slots).toEqual(['QB', 'RB', 'WR', 'FLEX', 'SUPER_FLEX']);
+    // The second QB only fits the superflex, so the flex goes to the next best skill player
+    expect(starters.map(starter => [starter.slot, starter.player_id])).toEqual([
+      ['QB', 'qb1'], ['RB', 'rb1'], ['WR', 'wr1'], ['FLEX', 'wr2'], ['SUPER_FLEX', 'qb2'],
+    ]);
+    expect(points).toBe(86);
+  });
+
+  it('leaves a slot empty when nobody on the roster fits it', () => {
+    const { starters } = optimizeLineup(['QB', 'TE'], [player('qb1', 'QB', 20)]);
+
+    expect(starters[1]).toEqual({ slot: 'TE', player_id: null, positions: [], points: 0 });
+  });
+
+  it('finds the best lineup when flex slots overlap', () => {
+    // Filling REC_FLEX first with the WR would leave only the RB for WRRB_FLEX (25 points)
+    const { starters, points } = optimizeLineup(['REC_FLEX', 'WRRB_FLEX'], [
+      player('wr1', 'WR', 20),
+      player('te1', 'TE', 15),
+      player('rb1', 'RB', 5),
+    ]);
+
+    expect(starters.map(starter => starter.player_id)).toEqual(['te1', 'wr1']);
+    expect(points).toBe(35);
+  });
+
+  it('starts players at any of their fantasy positions', () => {
+    const { starters, points } = optimizeLineup(['RB', 'WR'], [
+      { player_id: 'rb1', positions: ['RB'], points: 18 },
+      { player_id: 'hybrid', positions: ['RB', 'WR'], points: 12 },
+      player('wr1', 'WR', 4),
+    ]);
+
+    expect(starters.map(starter => starter.player_id)).toEqual(['rb1', 'hybrid']);
+    expect(points).toBe(30);
+  });
+});
+
+describe('buildSeasonLineups', () => {
+  it('splits starters from the bench and counts the points left there', () => {
+    const league = { roster_positions: ['QB', 'RB', 'BN', 'BN'], settings: { playoff_week_start: 15 } };
+    const players = { qb1: { name: 'Quinn', position: 'QB', team: 'KC' }, rb1: { name: 'Ray', position: 'RB', team: 'SF' }, rb2: { name: 'Rob', position: 'RB', team: null } };
+    const [week] = buildSeasonLineups(league, [{
+      week: 3,
+      matchups: [{ roster_id: 1, matchup_id: 1, points: 20, starters: ['qb1', '0'], players: ['qb1', 'rb1', 'rb2'], players_points: { qb1: 20, rb1: 14, rb2: 3 } }],
+    }], players);
+    const [lineup] = week.lineups;
+
+    expect(lineup.starters[1]).toMatchObject({ slot: 'RB', player_id: null });
+    expect(lineup.bench.map(p => p.name)).toEqual(['Ray', 'Rob']);
+    expect(lineup).toMatchObject({ optimal_points: 34, points_left_on_bench: 14, efficiency: 58.8 });
+  });
+});
+
+describe('fetchSeasonLineups', () => {
+  it('explores a team\'s week with its optimal lineup', async () => {
+    const { starting_slots, weeks, coaching } = await fetchSeasonLineups(createFixtureClient(), LEAGUE_IDS[2023]);
+    const lineup = weeks.find(w => w.week === 3).lineups.find(l => l.roster_id === 1);
+
+    expect(starting_slots).toEqual(['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX']);
+    expect(weeks.map(w => w.week)).toEqual(Array.from({ length: 16 }, (_, i) => i + 1));
+    expect(lineup).toMatchObject({ points: 94.78, optimal_points: 109.16, points_left_on_bench: 14.38 });
+    // Jalen Hurts scored 26.62 on the bench
+    expect(lineup.bench[0]).toMatchObject({ name: 'Jalen Hurts', points: 26.62 });
+    expect(lineup.optimal_starters[0]).toMatchObject({ slot: 'QB', name: 'Jalen Hurts' });
+    expect(lineup.optimal_starters[6].slot).toBe('FLEX');
+
+    expect(coaching).toHaveLength(6);
+    expect(coaching[0]).toMatchObject({ owner: 'Bench Warmer', weeks: 14, efficiency: 90.2 });
+  });
+});
+
+describe('fetchCoachingLeaderboard', () => {
+  it('adds up every manager\'s regular seasons', async () => {
+    const client = createFixtureClient();
+    const [{ leaderboard }, careers] = await Promise.all([
+      fetchCoachingLeaderboard(client, LEAGUE_IDS[2024]),
+      fetchAllTimeLeaderboard(client, LEAGUE_IDS[2024]),
+    ]);
+
+    expect(leaderboard.map(row => row.efficiency)).toEqual([...leaderboard.map(row => row.efficiency)].sort((a, b) => b - a));
+    // The points started add up to the points for in the standings
+    leaderboard.forEach(row => {
+      expect(row.points).toBeCloseTo(careers.find(career => career.manager_id === row.manager_id).points_for, 2);
+    });
+    expect(leaderboard.find(row => row.name === 'Tank Commander').seasons.map(s => s.season)).toEqual(['2022']);
+  });
+});
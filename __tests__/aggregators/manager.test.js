@@ -0,0 +1,68 @@
+// __tests__/aggregators/manager.test.js
+
+import { fetchManagerProfile } from '../../lib/aggregators/manager';
+import { createFixtureClient, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+// Fourth And One won the 2023 title
+const MANAGER_ID = '470099541716271104';
+
+describe('fetchManagerProfile', () => {
+  it('describes every season the manager played', async () => {
+    const profile = await fetchManagerProfile(createFixtureClient(), LEAGUE_IDS[2024], MANAGER_ID);
+
+    expect(profile.manager).toMatchObject({ manager_id: MANAGER_ID, name: 'Fourth And One' });
+    expect(profile.seasons.map(({ season, regular_season_rank, final_place, champion }) => [season, regular_season_rank, final_place, champion]))
+      .toEqual([['2024', 2, null, false], ['2023', 4, 1, true], ['2022', 3, 3, false]]);
+    expect(profile.titles).toEqual(['2023']);
+    expect(profile.career).toMatchObject({ seasons: 3, wins: 16, losses: 17, playoff_appearances: 2, titles: 1 });
+  });
+
+  it('lists the playoff games of each season', async () => {
+    const profile = await fetchManagerProfile(createFixtureClient(), LEAGUE_IDS[2024], MANAGER_ID);
+    const season2023 = profile.seasons.find(season => season.season === '2023');
+
+    expect(season2023.playoff_games.map(({ week, result, opponent }) => `${week} ${result} ${opponent}`))
+      .toEqual(['15 W Gridiron Guru', '16 W Bench Warmer']);
+  });
+
+  it('finds the best and worst weeks', async () => {
+    const { best_weeks, worst_weeks } = await fetchManagerProfile(createFixtureClient(), LEAGUE_IDS[2024], MANAGER_ID);
+
+    expect(best_weeks).toHaveLength(5);
+    expect(best_weeks[0]).toMatchObject({ season: '2024', week: 4, points: 108.24, result: 'L' });
+    expect(worst_weeks[0]).toMatchObject({ season: '2022', week: 13, points: 48.94 });
+    expect(best_weeks.map(week => week.points)).toEqual([...best_weeks.map(week => week.points)].sort((a, b) => b - a));
+  });
+
+  it('totals the record against every opponent, playoffs included', async () => {
+    const { opponents, seasons } = await fetchManagerProfile(createFixtureClient(), LEAGUE_IDS[2024], MANAGER_ID);
+    const games = opponents.reduce((sum, opponent) => sum + opponent.games, 0);
+    const playoffGames = seasons.reduce((sum, season) => sum + season.playoff_games.length, 0);
+
+    expect(opponents.map(opponent => opponent.manager_id)).not.toContain(MANAGER_ID);
+    expect(opponents[0]).toMatchObject({ name: 'Bench Warmer', games: 9, wins: 5, losses: 4 });
+    expect(games).toBe(5 + 14 + 14 + playoffGames);
+  });
+
+  it('leaves out a season that fails to load and reports it', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.includes(`${LEAGUE_IDS[2022]}/matchups/`)));
+    const profile = await fetchManagerProfile(client, LEAGUE_IDS[2024], MANAGER_ID);
+
+    expect(profile.seasons.map(season => season.season)).toEqual(['2024', '2023']);
+    expect(profile.failed_seasons).toEqual([expect.objectContaining({ league_id: LEAGUE_IDS[2022], season: '2022', status: 503 })]);
+    expect(profile.career.seasons).toBe(2);
+  });
+
+  it('keeps the profile when an old season\'s league fails to load', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2022]}/rosters`)));
+    const profile = await fetchManagerProfile(client, LEAGUE_IDS[2024], MANAGER_ID);
+
+    expect(profile.seasons.map(season => season.season)).toEqual(['2024', '2023']);
+    expect(profile.failed_seasons.map(failed => failed.season)).toEqual(['2022']);
+  });
+
+  it('rejects a manager who never played in the league with a 404', async () => {
+    await expect(fetchManagerProfile(createFixtureClient(), LEAGUE_IDS[2024], '123'))
+      .rejects.toMatchObject({ status: 404, message: `Manager 123 was not found in league ${LEAGUE_IDS[2024]}.` });
+  });
+});
@@ -0,0 +1,84 @@
+// __tests__/aggregators/powerRankings.test.js
+
+import { computePowerRankings, fetchPowerRankings } from '../../lib/aggregators/powerRankings';
+import { fetchStandings } from '../../lib/aggregators/standings';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+// One week of four teams: 1 plays 2 and 3 plays 4
+const week = (number, [p1, p2, p3, p4]) => ({
+  week: number,
+  matchups: [
+    { roster_id: 1, matchup_id: 1, points: p1 },
+    { roster_id: 2, matchup_id: 1, points: p2 },
+    { roster_id: 3, matchup_id: 2, points: p3 },
+    { roster_id: 4, matchup_id: 2, points: p4 },
+  ],
+});
+
+describe('computePowerRankings', () => {
+  it('scores every team against the whole league each week', () => {
+    const { weeks } = computePowerRankings([1, 2, 3, 4], [week(1, [100, 120, 90, 80])]);
+    const team = (rosterId) => weeks[0].teams.find(t => t.roster_id === rosterId);
+
+    // Team 1 lost to the week's top score but would have beaten two of three teams
+    expect(team(1)).toMatchObject({ result: 'L', all_play: { wins: 2, losses: 1, ties: 0 }, expected_wins: 0.67, week_rank: 2 });
+    expect(team(3)).toMatchObject({ result: 'W', all_play: { wins: 1, losses: 2, ties: 0 }, expected_wins: 0.33 });
+  });
+
+  it('measures luck as actual wins minus expected wins', () => {
+    const { rankings } = computePowerRankings([1, 2, 3, 4], [week(1, [100, 120, 90, 80]), week(2, [110, 130, 95, 60])]);
+    const team = (rosterId) => rankings.find(t => t.roster_id === rosterId);
+
+    expect(team(1)).toMatchObject({ wins: 0, losses: 2, expected_wins: 1.33, luck: -1.33 });
+    expect(team(3)).toMatchObject({ wins: 2, losses: 0, expected_wins: 0.67, luck: 1.33 });
+  });
+
+  it('ranks by all-play record, then points for', () => {
+    const { rankings } = computePowerRankings([1, 2, 3, 4], [week(1, [100, 120, 90, 80]), week(2, [100, 120, 100, 60])]);
+
+    expect(rankings.map(t => t.roster_id)).toEqual([2, 1, 3, 4]);
+    expect(rankings.map(t => t.pf_rank)).toEqual([1, 2, 3, 4]);
+    // A tie counts half in the all-play record
+    expect(rankings[1].all_play).toEqual({ wins: 3, losses: 2, ties: 1 });
+  });
+
+  it('tracks the season-to-date power rank of every week', () => {
+    const { weeks } = computePowerRankings([1, 2, 3, 4], [week(1, [80, 120, 90, 100]), week(2, [150, 60, 70, 65])]);
+    const rankOf = (weekIndex, rosterId) => weeks[weekIndex].teams.find(t => t.roster_id === rosterId).season_to_date.power_rank;
+
+    expect(rankOf(0, 1)).toBe(4);
+    // Every team is 3-3 in all-play after week 2, so points for decides
+    expect(rankOf(1, 1)).toBe(1);
+  });
+
+  it('skips weeks nobody has scored in yet', () => {
+    const { weeks, rankings } = computePowerRankings([1, 2, 3, 4], [week(1, [100, 120, 90, 80]), week(2, [0, 0, 0, 0])]);
+
+    expect(weeks.map(w => w.week)).toEqual([1]);
+    expect(rankings[0].all_play.wins + rankings[0].all_play.losses).toBe(3);
+  });
+});
+
+describe('fetchPowerRankings', () => {
+  it('covers the regular season and matches the actual records', async () => {
+    const client = createFixtureClient();
+    const rankings = await fetchPowerRankings(client, LEAGUE_IDS[2023]);
+    const { standings } = await fetchStandings(client, LEAGUE_IDS[2023], '2023');
+
+    expect(rankings.weeks.map(w => w.week)).toEqual(Array.from({ length: 14 }, (_, i) => i + 1));
+    expect(rankings.rankings).toHaveLength(6);
+    standings.forEach(row => {
+      const team = rankings.rankings.find(t => t.roster_id === row.roster_id);
+      expect([team.owner, team.wins, team.losses]).toEqual([row.owner, row.wins, row.losses]);
+      expect(team.points_for).toBeCloseTo(row.total_points, 2);
+    });
+    // Luck evens out across the league
+    expect(rankings.rankings.reduce((sum, t) => sum + t.luck, 0)).toBeCloseTo(0, 1);
+  });
+
+  it('only counts the weeks played so far in a running season', async () => {
+    const rankings = await fetchPowerRankings(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(rankings.weeks.map(w => w.week)).toEqual([1, 2, 3, 4, 5]);
+  });
+});
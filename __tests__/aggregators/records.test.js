@@ -0,0 +1,36 @@
+// __tests__/aggregators/records.test.js
+
+import { fetchRecordBook } from '../../lib/aggregators/records';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchRecordBook', () => {
+  it('ranks single-week scores and margins across every season', async () => {
+    const { seasons, records } = await fetchRecordBook(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(seasons).toEqual(['2024', '2023', '2022']);
+    expect(records.highest_scores[0]).toMatchObject({ owner: 'Gridiron Guru', season: '2022', week: 11, points: 119.05, opponent: 'Tank Commander' });
+    expect(records.lowest_scores[0]).toMatchObject({ owner: 'Tank Commander', season: '2022', week: 4, points: 46.48 });
+    expect(records.biggest_blowouts[0]).toMatchObject({ owner: 'Gridiron Guru', margin: 57.18 });
+    expect(records.closest_games[0]).toMatchObject({ owner: 'Punt God', opponent: 'Bench Warmer', margin: 0.17 });
+    expect(records.most_points_in_loss[0]).toMatchObject({ owner: 'Fourth And One', season: '2024', week: 4, points: 108.24 });
+    expect(records.highest_scores).toHaveLength(10);
+  });
+
+  it('marks every record with the scoring era it was set in', async () => {
+    const { eras, records } = await fetchRecordBook(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(eras.map(era => era.label)).toEqual(['2022', '2023', '2024']);
+    expect(records.most_points_in_season[0]).toMatchObject({ owner: 'Gridiron Guru', season: '2022', era: 1, points: 1267.14, games: 14 });
+  });
+
+  it('runs streaks across seasons', async () => {
+    const { records } = await fetchRecordBook(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(records.longest_win_streaks[0]).toMatchObject({
+      owner: 'Gridiron Guru', length: 12, start: { season: '2022', week: 3 }, end: { season: '2022', week: 14 },
+    });
+    expect(records.longest_loss_streaks).toContainEqual(expect.objectContaining({
+      owner: 'Rookie Mistake', length: 6, start: { season: '2023', week: 14 }, end: { season: '2024', week: 4 }, era: 2, end_era: 3,
+    }));
+  });
+});
@@ -0,0 +1,83 @@
+// __tests__/aggregators/rules.test.js
+
+import { describeScoringEras, fetchLeagueRules, findScoringEra } from '../../lib/aggregators/rules';
+import { fetchRecordBook } from '../../lib/aggregators/records';
+import { fetchAllTimeLeaderboard } from '../../lib/aggregators/allTime';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('describeScoringEras', () => {
+  it('groups consecutive seasons with the same scoring, in any key order', () => {
+    const eras = describeScoringEras([
+      { season: '2021', scoring_settings: { rec: 1, pass_td: 4 } },
+      { season: '2019', scoring_settings: { pass_td: 4, rec: 0.5 } },
+      { season: '2020', scoring_settings: { rec: 0.5, pass_td: 4 } },
+      { season: '2022', scoring_settings: { rec: 0.5, pass_td: 4 } },
+    ]);
+
+    expect(eras.map(era => [era.era, era.label, era.summary])).toEqual([
+      [1, '2019-2020', 'Half PPR, 4 pt passing TD'],
+      [2, '2021', 'Full PPR, 4 pt passing TD'],
+      // Going back to old rules starts a new era
+      [3, '2022', 'Half PPR, 4 pt passing TD'],
+    ]);
+    expect(findScoringEra(eras, 2020)).toBe(1);
+    expect(findScoringEra(eras, '2018')).toBeNull();
+  });
+});
+
+describe('fetchLeagueRules', () => {
+  it('lists what changed from the season before', async () => {
+    const { seasons, eras } = await fetchLeagueRules(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(seasons.map(season => [season.season, season.era, season.compared_to])).toEqual([
+      ['2024', 3, '2023'],
+      ['2023', 2, '2022'],
+      ['2022', 1, null],
+    ]);
+    expect(eras).toHaveLength(3);
+
+    // The move from half to full PPR
+    expect(seasons[1].changes).toEqual([
+      { section: 'scoring', key: 'rec', label: 'Reception', from: 0.5, to: 1 },
+    ]);
+    expect(seasons[0].changes).toEqual([
+      { section: 'scoring', key: 'pass_td', label: 'Passing TD', from: 4, to: 6 },
+      { section: 'scoring', key: 'bonus_rec_te', label: 'TE reception bonus', from: null, to: 0.5 },
+      { section: 'roster', key: 'WR', label: 'WR', from: 2, to: 3 },
+      { section: 'roster', key: 'BN', label: 'Bench', from: 4, to: 3 },
+      { section: 'settings', key: 'reserve_slots', label: 'IR slots', from: '0', to: '1' },
+    ]);
+    expect(seasons[2].changes).toEqual([]);
+  });
+
+  it('describes settings the way the league reads them', async () => {
+    const { seasons } = await fetchLeagueRules(createFixtureClient(), LEAGUE_IDS[2024]);
+    const setting = (key) => seasons[0].settings.find(row => row.key === key).value;
+
+    expect(setting('type')).toBe('Dynasty');
+    expect(setting('waiver_type')).toBe('FAAB');
+    expect(setting('trade_deadline')).toBe('Week 11');
+    expect(seasons[0].roster_positions.find(row => row.position === 'FLEX')).toEqual({ position: 'FLEX', label: 'Flex (RB/WR/TE)', count: 1 });
+  });
+});
+
+describe('scoring eras in records and leaderboards', () => {
+  it('marks every record with the era it was set in', async () => {
+    const { eras, records } = await fetchRecordBook(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(eras.map(era => era.label)).toEqual(['2022', '2023', '2024']);
+    records.highest_scores.forEach(entry => {
+      expect(entry.era).toBe(findScoringEra(eras, entry.season));
+    });
+    expect(records.most_points_in_season[0]).toMatchObject({ season: '2022', era: 1 });
+    expect(records.longest_win_streaks[0]).toMatchObject({ era: 1, end_era: 1 });
+  });
+
+  it('splits career points by era', async () => {
+    const leaderboard = await fetchAllTimeLeaderboard(createFixtureClient(), LEAGUE_IDS[2024]);
+    const guru = leaderboard.find(row => row.name === 'Gridiron Guru');
+
+    expect(guru.eras.map(era => [era.era, era.label, era.seasons])).toEqual([[1, '2022', 1], [2, '2023', 1], [3, '2024', 1]]);
+    expect(guru.eras.reduce((total, era) => total + era.points_for, 0)).toBeCloseTo(guru.points_for, 2);
+  });
+});
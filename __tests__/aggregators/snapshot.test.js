@@ -0,0 +1,54 @@
+// __tests__/aggregators/snapshot.test.js
+
+import { fetchLeagueHistory } from '../../lib/aggregators/history';
+import { fetchLeagueSnapshot } from '../../lib/aggregators/snapshot';
+import { fetchStandings } from '../../lib/aggregators/standings';
+import { createFixtureClient, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchLeagueSnapshot', () => {
+  it('describes the lineage and which of its seasons are complete', async () => {
+    const snapshot = await fetchLeagueSnapshot(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(snapshot).toMatchObject({
+      league_id: LEAGUE_IDS[2024],
+      name: 'Fixture Dynasty League',
+      current_season: '2024',
+      complete_seasons: ['2023', '2022'],
+      failed_seasons: [],
+    });
+    expect(snapshot.seasons.map(({ season, complete }) => [season, complete])).toEqual([
+      ['2024', false],
+      ['2023', true],
+      ['2022', true],
+    ]);
+  });
+
+  it('holds the same champions and standings as the separate data types', async () => {
+    const client = createFixtureClient();
+    const snapshot = await fetchLeagueSnapshot(client, LEAGUE_IDS[2024]);
+    const { seasons: history } = await fetchLeagueHistory(client, LEAGUE_IDS[2024]);
+    const standings2023 = await fetchStandings(client, LEAGUE_IDS[2023], '2023');
+
+    snapshot.seasons.forEach((season, index) => expect(season).toMatchObject(history[index]));
+    expect(snapshot.seasons[1].standings).toEqual(standings2023.standings);
+    expect(snapshot.seasons[1].tiebreakers).toEqual(standings2023.tiebreakers);
+  });
+
+  it('lists every manager once with their team names over time', async () => {
+    const { managers } = await fetchLeagueSnapshot(createFixtureClient(), LEAGUE_IDS[2024]);
+    const ids = managers.map(manager => manager.manager_id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(managers.find(manager => manager.name === 'Gridiron Guru').team_names.map(entry => entry.season))
+      .toEqual(['2024', '2023', '2022']);
+  });
+
+  it('keeps the seasons that loaded when another fails', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2022]}/rosters`)));
+    const snapshot = await fetchLeagueSnapshot(client, LEAGUE_IDS[2024]);
+
+    expect(snapshot.seasons.map(season => season.season)).toEqual(['2024', '2023']);
+    expect(snapshot.complete_seasons).toEqual(['2023']);
+    expect(snapshot.failed_seasons).toMatchObject([{ season: '2022', status: 503 }]);
+  });
+});
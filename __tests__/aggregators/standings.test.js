@@ -0,0 +1,73 @@
+// __tests__/aggregators/standings.test.js
+
+import { fetchStandings, combinePoints } from '../../lib/aggregators/standings';
+import { SleeperApiError } from '../../lib/sleeper/client';
+import { createFixtureClient, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('combinePoints', () => {
+  it('treats the decimal part as hundredths', () => {
+    expect(combinePoints(120, 5)).toBe(120.05);
+    expect(combinePoints(120, 50)).toBe(120.5);
+  });
+
+  it('defaults missing parts to zero', () => {
+    expect(combinePoints(undefined, undefined)).toBe(0);
+    expect(combinePoints(98, undefined)).toBe(98);
+  });
+});
+
+describe('fetchStandings', () => {
+  it('ranks a season by win percentage and breaks ties on points for', async () => {
+    const { season, league_name, standings, tiebreakers } = await fetchStandings(createFixtureClient(), LEAGUE_IDS[2023], '2023');
+
+    expect(season).toBe('2023');
+    expect(league_name).toBe('Fixture Dynasty League');
+    expect(tiebreakers).toEqual(['points_for']);
+    // Waiver Wire Wizard and Bench Warmer are both 9-5; Fourth And One and Rookie Mistake both 5-9
+    expect(standings.map(row => row.owner)).toEqual([
+      'Gridiron Guru',
+      'Waiver Wire Wizard',
+      'Bench Warmer',
+      'Fourth And One',
+      'Rookie Mistake',
+      'Punt God',
+    ]);
+  });
+
+  it('combines split points and works out efficiency', async () => {
+    const { standings } = await fetchStandings(createFixtureClient(), LEAGUE_IDS[2023], '2023');
+    const leader = standings[0];
+
+    expect(leader).toMatchObject({
+      roster_id: 1,
+      team_name: 'Hurts So Good',
+      wins: 12,
+      losses: 2,
+      ties: 0,
+      total_points: 1157.52,
+      max_points: 1339.81,
+      efficiency: 86.4,
+    });
+    expect(leader.win_pct).toBeCloseTo(12 / 14);
+  });
+
+  it('resolves co-owners of a roster', async () => {
+    const { standings } = await fetchStandings(createFixtureClient(), LEAGUE_IDS[2024], '2024');
+    const coOwned = standings.find(row => row.roster_id === 3);
+
+    expect(coOwned.co_owners).toEqual([{ manager_id: '862045129853194240', owner: 'Co Captain' }]);
+  });
+
+  it('rejects unknown leagues with a 404', async () => {
+    await expect(fetchStandings(createFixtureClient(), '123', '2023')).rejects.toMatchObject({
+      name: 'SleeperApiError',
+      status: 404,
+    });
+  });
+
+  it('passes Sleeper outages on as a SleeperApiError', async () => {
+    const client = createFixtureClient(failRequests(503, url => url.endsWith('/rosters')));
+
+    await expect(fetchStandings(client, LEAGUE_IDS[2023], '2023')).rejects.toBeInstanceOf(SleeperApiError);
+  });
+});
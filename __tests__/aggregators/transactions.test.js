@@ -0,0 +1,49 @@
+// __tests__/aggregators/transactions.test.js
+
+import { fetchTransactionLog } from '../../lib/aggregators/transactions';
+import { createFixtureClient, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('fetchTransactionLog', () => {
+  it('collects the completed transactions of every season, newest first', async () => {
+    const { seasons, transactions, summary } = await fetchTransactionLog(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(seasons).toEqual(['2024', '2023', '2022']);
+    expect(transactions.map(transaction => `${transaction.season} week ${transaction.week} ${transaction.type}`)).toEqual([
+      '2024 week 2 waiver',
+      '2023 week 9 free_agent',
+      '2023 week 9 trade',
+      '2023 week 3 trade',
+      '2022 week 8 trade',
+    ]);
+    // The failed waiver claim is left out
+    expect(summary).toMatchObject({ total_transactions: 5, trades: 3, waivers: 1, free_agents: 1, total_faab_spent: 23 });
+  });
+
+  it('splits a trade into what each side received and sent', async () => {
+    const { transactions } = await fetchTransactionLog(createFixtureClient(), LEAGUE_IDS[2024]);
+    const trade = transactions.find(transaction => transaction.season === '2022' && transaction.type === 'trade');
+
+    const [guru, puntGod] = trade.moves;
+    expect(guru).toMatchObject({
+      owner: 'Gridiron Guru',
+      adds: [{ player_id: '4831', name: 'Rhamondre Stevenson', position: 'RB' }],
+      drops: [{ player_id: '4498', name: 'Amon Jackson', position: 'RB' }],
+      picks_received: [{ season: '2023', round: 2, original_owner: 'Punt God' }],
+      picks_sent: [],
+      faab_sent: 5,
+    });
+    expect(puntGod).toMatchObject({
+      owner: 'Punt God',
+      adds: [{ player_id: '4498', name: 'Amon Jackson', position: 'RB' }],
+      picks_sent: [{ season: '2023', round: 2, original_owner: 'Punt God' }],
+      faab_received: 5,
+    });
+  });
+
+  it('names the most active trader', async () => {
+    const { summary } = await fetchTransactionLog(createFixtureClient(), LEAGUE_IDS[2024]);
+
+    expect(summary.most_active_trader).toMatchObject({ owner: 'Gridiron Guru', trades: 2 });
+    expect(summary.by_manager.find(stats => stats.owner === 'Rookie Mistake')).toMatchObject({ trades: 0, waivers: 1, free_agents: 1, faab_spent: 23 });
+  });
+});
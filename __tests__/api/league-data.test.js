@@ -0,0 +1,83 @@
+// __tests__/api/league-data.test.js
+
+import { callLeagueData, failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+describe('/api/league-data', () => {
+  describe('validation', () => {
+    it.each([
+      [{}, 'Invalid data type requested.'],
+      [{ dataType: 'bogus', leagueId: LEAGUE_IDS[2024] }, 'Invalid data type requested.'],
+      [{ dataType: 'champions' }, 'League ID is required.'],
+      [{ dataType: 'champions', leagueId: '../user/123' }, 'League ID must be a number, e.g. 1181984921049018368.'],
+      [{ dataType: 'archive', leagueId: '1"\r\nSet-Cookie: a=b' }, 'League ID must be a number, e.g. 1181984921049018368.'],
+      [{ dataType: 'standings', leagueId: LEAGUE_IDS[2024] }, 'Season is required for standings.'],
+      [{ dataType: 'matchups', leagueId: LEAGUE_IDS[2024], week: '1' }, 'Season is required for matchups.'],
+      [{ dataType: 'matchups', leagueId: LEAGUE_IDS[2024] }, 'Week and season are required for matchups.'],
+      [{ dataType: 'user_leagues', season: '2024' }, 'Username is required for user leagues.'],
+      [{ dataType: 'export_csv', leagueId: LEAGUE_IDS[2024] }, 'Table is required for CSV export.'],
+      [{ dataType: 'export_csv', leagueId: LEAGUE_IDS[2024], table: 'drafts' }, 'Table must be one of: champions, standings, matchups.'],
+    ])('rejects %j with a 400', async (query, error) => {
+      const { status, body, headers } = await callLeagueData(query);
+
+      expect(status).toBe(400);
+      expect(body).toEqual({ error });
+      expect(headers['Cache-Control']).toBe('no-store');
+    });
+  });
+
+  it('serves aggregated data with CDN caching headers', async () => {
+    const { status, body, headers } = await callLeagueData({ dataType: 'standings', leagueId: LEAGUE_IDS[2023], season: '2023' });
+
+    expect(status).toBe(200);
+    expect(body.standings).toHaveLength(6);
+    expect(headers['Cache-Control']).toBe('public, s-maxage=60, stale-while-revalidate=300');
+  });
+
+  it('serves the whole league in one snapshot', async () => {
+    const { status, body } = await callLeagueData({ dataType: 'snapshot', leagueId: LEAGUE_IDS[2024] });
+
+    expect(status).toBe(200);
+    expect(body.seasons.map(season => season.standings.length)).toEqual([6, 6, 6]);
+    expect(body.managers.length).toBeGreaterThanOrEqual(6);
+  });
+
+  it('serves exports as file downloads', async () => {
+    const { status, body, headers } = await callLeagueData({ dataType: 'export_csv', leagueId: LEAGUE_IDS[2024], table: 'champions' });
+
+    expect(status).toBe(200);
+    expect(headers['Content-Type']).toBe('text/csv; charset=utf-8');
+    expect(headers['Content-Disposition']).toBe(`attachment; filename="league-${LEAGUE_IDS[2024]}-champions.csv"`);
+    expect(body.split('\r\n')[0]).toMatch(/^Season,League ID,League Name/);
+  });
+
+  it('serves raw Sleeper data', async () => {
+    const { status, body } = await callLeagueData({ dataType: 'matchups', leagueId: LEAGUE_IDS[2023], week: '1', season: '2023' });
+
+    expect(status).toBe(200);
+    expect(body).toHaveLength(6);
+  });
+
+  it('answers an unknown league with a 404', async () => {
+    const { status, body } = await callLeagueData({ dataType: 'champions', leagueId: '123' });
+
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: 'League 123 was not found.' });
+  });
+
+  it('answers a Sleeper outage with a 502', async () => {
+    const { status, body, headers } = await callLeagueData({ dataType: 'champions', leagueId: LEAGUE_IDS[2024] }, failRequests(503));
+
+    expect(status).toBe(502);
+    expect(body.error).toMatch(/Status: 503/);
+    // The CDN must not keep serving the outage once Sleeper is back
+    expect(headers['Cache-Control']).toBe('no-store');
+  });
+
+  it('answers an unreachable Sleeper with a 502', async () => {
+    const { status } = await callLeagueData({ dataType: 'league', leagueId: LEAGUE_IDS[2024] }, async () => {
+      throw new Error('getaddrinfo ENOTFOUND api.sleeper.app');
+    });
+
+    expect(status).toBe(502);
+  });
+});
@@ -0,0 +1,37 @@
+// __tests__/cache.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCache } from '../lib/cache';
+import { createFileStore } from '../lib/cache/fileStore';
+import { createMemoryStore } from '../lib/cache/memoryStore';
+
+describe('createCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sleeper-cache-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('copies a hit in a slower store into the faster ones', async () => {
+    const memory = createMemoryStore();
+    await createCache([createFileStore(directory)]).set('/league/1', { name: 'League' });
+
+    expect(await createCache([memory, createFileStore(directory)]).get('/league/1')).toEqual({ name: 'League' });
+    expect((await memory.get('/league/1')).value).toEqual({ name: 'League' });
+  });
+
+  it('deletes expired entries when they are read', async () => {
+    const cache = createCache([createMemoryStore(), createFileStore(directory)]);
+    await cache.set('/league/1/matchups/1', [], { ttl: -1 });
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+
+    expect(await cache.get('/league/1/matchups/1')).toBeUndefined();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
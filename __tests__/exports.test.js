@@ -0,0 +1,80 @@
+// __tests__/exports.test.js
+
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, fetchLeagueArchive } from '../lib/aggregators/archive';
+import { buildArchiveExport, buildCsvExport, toCsv } from '../lib/exports';
+import { createFixtureClient, LEAGUE_IDS } from './helpers/sleeperFixture';
+
+// Parses the simple CSV produced by the fixture league (no quoted fields)
+const readCsv = (body) => body.trim().split('\r\n').map(line => line.split(','));
+
+describe('toCsv', () => {
+  const columns = [{ header: 'Team', value: row => row.team }, { header: 'Points', value: row => row.points }];
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    expect(toCsv(columns, [{ team: 'Hurts, So "Good"', points: 1.5 }, { team: 'Two\nLines', points: null }]))
+      .toBe('Team,Points\r\n"Hurts, So ""Good""",1.5\r\n"Two\nLines",\r\n');
+  });
+
+  it('keeps spreadsheets from running team names as formulas', () => {
+    expect(toCsv(columns, [{ team: '=HYPERLINK("x")', points: -3 }])).toBe('Team,Points\r\n"\'=HYPERLINK(""x"")",-3\r\n');
+  });
+});
+
+describe('league exports', () => {
+  let archive;
+  beforeAll(async () => {
+    archive = await fetchLeagueArchive(createFixtureClient(), LEAGUE_IDS[2024]);
+  });
+
+  it('exports one champions row per season', () => {
+    const [header, ...rows] = readCsv(buildCsvExport(archive, 'champions').body);
+
+    expect(header.slice(0, 5)).toEqual(['Season', 'League ID', 'League Name', 'Status', 'Champion']);
+    expect(rows.map(row => [row[0], row[4]])).toEqual([['2024', ''], ['2023', 'Fourth And One'], ['2022', 'Waiver Wire Wizard']]);
+    expect(rows[1].slice(8, 10)).toEqual(['93.98', '82.09']);
+  });
+
+  it('exports every season\'s standings in rank order', () => {
+    const [header, ...rows] = readCsv(buildCsvExport(archive, 'standings').body);
+    const season2023 = rows.filter(row => row[0] === '2023');
+
+    expect(rows).toHaveLength(18);
+    expect(season2023[0][header.indexOf('Owner')]).toBe('Gridiron Guru');
+    expect(season2023[0][header.indexOf('Win %')]).toBe('85.7');
+    expect(season2023.map(row => row[header.indexOf('Rank')])).toEqual(['1', '2', '3', '4', '5', '6']);
+  });
+
+  it('exports both sides of every played matchup', () => {
+    const [header, ...rows] = readCsv(buildCsvExport(archive, 'matchups').body);
+    const column = name => header.indexOf(name);
+    const week1 = rows.filter(row => row[column('Season')] === '2023' && row[column('Week')] === '1');
+
+    expect(week1).toHaveLength(6);
+    week1.forEach(row => {
+      const opponent = week1.find(other => other[column('Owner')] === row[column('Opponent')]);
+      expect(opponent[column('Points')]).toBe(row[column('Opponent Points')]);
+    });
+    expect(rows.every(row => ['W', 'L', 'T'].includes(row[column('Result')]))).toBe(true);
+  });
+
+  it('names the files after the league', () => {
+    expect(buildCsvExport(archive, 'matchups')).toMatchObject({
+      filename: `league-${LEAGUE_IDS[2024]}-matchups.csv`,
+      content_type: 'text/csv; charset=utf-8',
+    });
+    expect(buildArchiveExport(archive).filename).toBe(`league-${LEAGUE_IDS[2024]}-archive-v${ARCHIVE_VERSION}.json`);
+  });
+
+  it('archives the raw Sleeper data of every season', () => {
+    const parsed = JSON.parse(buildArchiveExport(archive).body);
+
+    expect(parsed).toMatchObject({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, league_id: LEAGUE_IDS[2024] });
+    expect(parsed.seasons.map(season => season.season)).toEqual(['2024', '2023', '2022']);
+    const season2023 = parsed.seasons[1];
+    expect(season2023.history.champion).toBe('Fourth And One');
+    expect(season2023.sleeper.league.league_id).toBe(LEAGUE_IDS[2023]);
+    expect(season2023.sleeper.rosters).toHaveLength(6);
+    expect(season2023.sleeper.winners_bracket.length).toBeGreaterThan(0);
+    expect(season2023.sleeper.matchups.map(({ week }) => week)).toEqual(Array.from({ length: 16 }, (_, i) => i + 1));
+  });
+});
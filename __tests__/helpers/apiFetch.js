@@ -0,0 +1,43 @@
+// __tests__/helpers/apiFetch.js
+
+import { act } from '@testing-library/react';
+import { callLeagueData } from './sleeperFixture';
+
+// Responses handed out by the fetch mock, so tests can wait for every component to load
+let pendingCalls = [];
+
+/**
+ * Replaces the browser's `fetch` so components calling /api/league-data are answered by the
+ * API route running against the fixture league.
+ * @param {function(string, function): Promise<object>} [wrapFetcher] - Lets a test intercept the
+ *   route's Sleeper requests (see createFixtureClient).
+ * @returns {jest.Mock} - The fetch mock.
+ */
+export function routeApiToFixture(wrapFetcher) {
+  pendingCalls = [];
+  global.fetch = jest.fn((url) => {
+    const call = (async () => {
+      const { searchParams } = new URL(url, 'http://localhost');
+      const { status, body } = await callLeagueData(Object.fromEntries(searchParams), wrapFetcher);
+      return { ok: status < 400, status, json: async () => body };
+    })();
+    pendingCalls.push(call);
+    return call;
+  });
+  return global.fetch;
+}
+
+/**
+ * Waits until every API call made so far, and any call they trigger, has been answered and
+ * rendered.
+ */
+export async function waitForApiCalls() {
+  let settled = 0;
+  while (settled < pendingCalls.length) {
+    const calls = pendingCalls.slice(settled);
+    settled = pendingCalls.length;
+    await act(async () => {
+      await Promise.allSettled(calls);
+    });
+  }
+}
@@ -0,0 +1,61 @@
+// __tests__/helpers/sleeperFixture.js
+
+import fixture from '../../fixtures/sleeper-lineage.json';
+import { createSleeperClient } from '../../lib/sleeper/client';
+import { createFixtureFetcher } from '../../lib/sleeper/fixtures';
+import { createRequestScheduler } from '../../lib/sleeper/scheduler';
+import { createLeagueDataHandler } from '../../pages/api/league-data';
+
+// The seasons of the fixture league, newest first
+export const LEAGUE_IDS = {
+  2024: '1048276409381244928',
+  2023: '917339514358829056',
+  2022: '784511204917010432',
+};
+
+/**
+ * Creates a Sleeper client that answers from the fixture league. Failed requests are retried
+ * without waiting, so outage tests do not sit through the real backoff.
+ * @param {function(string, function): Promise<object>} [wrapFetcher] - Lets a test intercept requests:
+ *   called with each URL and the fixture fetcher.
+ * @returns {object} - The Sleeper client.
+ */
+export function createFixtureClient(wrapFetcher) {
+  const fetcher = createFixtureFetcher(fixture);
+  return createSleeperClient({
+    fetcher: wrapFetcher ? (url) => wrapFetcher(url, fetcher) : fetcher,
+    scheduler: createRequestScheduler({ retryDelayMs: 0 }),
+  });
+}
+
+/**
+ * Runs the league-data API route against the fixture league.
+ * @param {object} query - The request's query parameters.
+ * @param {function(string, function): Promise<object>} [wrapFetcher] - See createFixtureClient.
+ * @returns {Promise<object>} - A promise that resolves to { status, body, headers }.
+ */
+export async function callLeagueData(query, wrapFetcher) {
+  const handler = createLeagueDataHandler(() => createFixtureClient(wrapFetcher));
+  const response = { status: 200, body: undefined, headers: {} };
+  const res = {
+    setHeader: (name, value) => { response.headers[name] = value; },
+    status: (code) => { response.status = code; return res; },
+    json: (body) => { response.body = body; return res; },
+    send: (body) => { response.body = body; return res; },
+  };
+  await handler({ query }, res);
+  return response;
+}
+
+/**
+ * Returns a fetcher wrapper that answers every request with an HTTP error, e.g. to simulate
+ * a Sleeper outage.
+ * @param {number} status - The HTTP status to answer with.
+ * @param {function(string): boolean} [matches] - Only fail the URLs this returns true for.
+ * @returns {function(string, function): Promise<object>} - The fetcher wrapper.
+ */
+export function failRequests(status, matches = () => true) {
+  return async (url, fetcher) => (matches(url)
+    ? { ok: false, status, statusText: 'Service Unavailable', json: async () => null }
+    : fetcher(url));
+}
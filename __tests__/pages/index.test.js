@@ -0,0 +1,51 @@
+/**
+ * @jest-environment jsdom
+ */
+// __tests__/pages/index.test.js
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { useRouter } from 'next/router';
+import HomePage from '../../pages/index';
+import { rememberLeague } from '../../lib/recentLeagues';
+
+jest.mock('next/router', () => ({ useRouter: jest.fn() }));
+
+describe('Home page', () => {
+  let push;
+
+  beforeEach(() => {
+    push = jest.fn();
+    useRouter.mockReturnValue({ push, query: {} });
+    window.localStorage.clear();
+  });
+
+  it('opens the league that was entered', () => {
+    render(<HomePage />);
+
+    fireEvent.change(screen.getByPlaceholderText('Sleeper league ID'), { target: { value: ' 917339514358829056 ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'View History' }));
+
+    expect(push).toHaveBeenCalledWith('/league/917339514358829056');
+  });
+
+  it('looks up the leagues of a username', () => {
+    render(<HomePage />);
+
+    fireEvent.change(screen.getByPlaceholderText('Sleeper username'), { target: { value: 'gridironguru' } });
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '2023' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Find Leagues' }));
+
+    expect(push).toHaveBeenCalledWith('/user/gridironguru?season=2023');
+  });
+
+  it('lists and forgets recently viewed leagues', async () => {
+    rememberLeague({ league_id: '917339514358829056', name: 'Fixture Dynasty League', season: '2023' });
+    render(<HomePage />);
+
+    expect(await screen.findByRole('link', { name: /Fixture Dynasty League/ })).toHaveAttribute('href', '/league/917339514358829056');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Forget Fixture Dynasty League' }));
+    expect(screen.getByText('Leagues you open will show up here.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ */
+// __tests__/pages/league.test.js
+
+import React from 'react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { useRouter } from 'next/router';
+import LeaguePage from '../../pages/league/[leagueId]/index';
+import { routeApiToFixture, waitForApiCalls } from '../helpers/apiFetch';
+import { failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+jest.mock('next/router', () => ({ useRouter: jest.fn() }));
+
+/**
+ * Renders the league page as if it was opened at /league/<leagueId>.
+ * @param {string} leagueId - The league ID in the URL.
+ */
+function renderLeaguePage(leagueId) {
+  useRouter.mockReturnValue({ isReady: true, query: { leagueId } });
+  return render(<LeaguePage />);
+}
+
+describe('League page', () => {
+  beforeEach(() => {
+    routeApiToFixture();
+    window.localStorage.clear();
+  });
+
+  // The all-time leaderboard and head-to-head matrix load on their own
+  afterEach(waitForApiCalls);
+
+  it('waits for the router before loading anything', () => {
+    useRouter.mockReturnValue({ isReady: false, query: {} });
+    render(<LeaguePage />);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('renders the champions of every season', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    expect(await screen.findByRole('heading', { name: 'Fixture Dynasty League' })).toBeInTheDocument();
+    const championsTable = screen.getByRole('heading', { name: 'League Champions' }).parentElement;
+    const rows = within(championsTable).getAllByRole('row').slice(1);
+    expect(rows.map(row => within(row).getAllByRole('cell')[0].textContent)).toEqual(['2024', '2023', '2022']);
+    expect(within(rows[0]).getByText('In progress')).toBeInTheDocument();
+    expect(within(rows[1]).getAllByRole('cell')[2]).toHaveTextContent('Fourth And One');
+    expect(within(rows[1]).getAllByRole('cell')[5]).toHaveTextContent('93.98 - 82.09');
+    expect(within(rows[2]).getAllByRole('cell')[2]).toHaveTextContent('Waiver Wire Wizard');
+    expect(within(rows[1]).getByRole('link', { name: 'Fourth And One' }))
+      .toHaveAttribute('href', `/manager/470099541716271104?leagueId=${LEAGUE_IDS[2024]}`);
+  });
+
+  it('renders the standings of every season', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const season2023 = (await screen.findByRole('heading', { name: 'Season 2023' })).parentElement;
+    const rows = within(season2023).getAllByRole('row').slice(1);
+    expect(rows).toHaveLength(6);
+    expect(within(rows[0]).getAllByRole('cell')[1]).toHaveTextContent('Gridiron Guru');
+    expect(within(rows[0]).getAllByRole('cell')[5]).toHaveTextContent('85.7%');
+    expect(screen.getByRole('heading', { name: 'Season 2022' })).toBeInTheDocument();
+    // Every season comes from the one snapshot request
+    expect(global.fetch.mock.calls.filter(([url]) => url.includes('dataType=standings'))).toHaveLength(0);
+  });
+
+  it('lists the seasons that could not be loaded', async () => {
+    routeApiToFixture(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2022]}/rosters`)));
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent(/Season 2022: .*Status: 503/);
+    const championsTable = screen.getByRole('heading', { name: 'League Champions' }).parentElement;
+    expect(within(championsTable).getAllByRole('row')).toHaveLength(3);
+  });
+
+  it('charts a season\'s power rankings on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const season2023 = (await screen.findByRole('heading', { name: 'Season 2023' })).parentElement;
+    fireEvent.click(within(season2023).getByRole('button', { name: 'Show power rankings' }));
+
+    const chart = await within(season2023).findByRole('img', { name: 'Power rank by week, season 2023' });
+    expect(chart.querySelectorAll('path')).toHaveLength(6);
+    expect(within(season2023).getAllByText('Expected Wins')).toHaveLength(1);
+  });
+
+  it('shows a season\'s playoff bracket on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const season2023 = (await screen.findByRole('heading', { name: 'Season 2023' })).parentElement;
+    fireEvent.click(within(season2023).getByRole('button', { name: 'Show playoff bracket' }));
+
+    expect(await within(season2023).findByText(/Championship/)).toBeInTheDocument();
+    expect(within(season2023).getByText('93.98')).toBeInTheDocument();
+    expect(within(season2023).getByRole('heading', { name: 'Toilet Bowl' })).toBeInTheDocument();
+    expect(within(season2023).getByRole('heading', { name: 'Final placements' })).toBeInTheDocument();
+  });
+
+  it('shows a season\'s draft board on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const season2023 = (await screen.findByRole('heading', { name: 'Season 2023' })).parentElement;
+    fireEvent.click(within(season2023).getByRole('button', { name: 'Show draft board' }));
+
+    const traded = (await within(season2023).findByText('Zay Flowers')).parentElement;
+    // The first pick of round two, made with Punt God's pick
+    expect(within(traded).getByText('2.01')).toBeInTheDocument();
+    expect(within(traded).getByRole('link', { name: 'Gridiron Guru' }))
+      .toHaveAttribute('href', `/manager/461734009312534528?leagueId=${LEAGUE_IDS[2024]}`);
+    expect(within(season2023).getAllByRole('columnheader', { name: 'Punt God' })).toHaveLength(1);
+  });
+
+  it('explores a season\'s lineups on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const season2023 = (await screen.findByRole('heading', { name: 'Season 2023' })).parentElement;
+    fireEvent.click(within(season2023).getByRole('button', { name: 'Show lineups' }));
+
+    const week = await within(season2023).findByRole('combobox', { name: 'Week' });
+    fireEvent.change(week, { target: { value: '3' } });
+    expect(within(season2023).getByText('Left 14.38 points on the bench (86.8% of the optimal lineup).')).toBeInTheDocument();
+    expect(within(season2023).getByRole('heading', { name: 'Coaching efficiency, season 2023' })).toBeInTheDocument();
+  });
+
+  it('ranks the coaching efficiency on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const section = (await screen.findByRole('heading', { name: 'Coaching Efficiency' })).parentElement;
+    await waitForApiCalls();
+    // Optimal lineups need the player dictionary, so nothing is loaded until asked
+    expect(global.fetch.mock.calls.map(([url]) => url).filter(url => url.includes('dataType=coaching'))).toEqual([]);
+
+    fireEvent.click(within(section).getByRole('button', { name: 'Show coaching leaderboard' }));
+    expect(await within(section).findByRole('link', { name: 'Tank Commander' }))
+      .toHaveAttribute('href', `/manager/471188229112619008?leagueId=${LEAGUE_IDS[2024]}`);
+  });
+
+  it('lists the transactions on demand', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+
+    const section = (await screen.findByRole('heading', { name: 'Transactions' })).parentElement;
+    await waitForApiCalls();
+    // Naming the players needs the player dictionary, so nothing is loaded until asked
+    expect(global.fetch.mock.calls.map(([url]) => url).filter(url => url.includes('dataType=transactions'))).toEqual([]);
+
+    fireEvent.click(within(section).getByRole('button', { name: 'Show transactions' }));
+    expect(await within(section).findByText('+ 2023 Rd 2 (Punt God)')).toBeInTheDocument();
+    expect(within(section).getByText('Gridiron Guru (2)')).toBeInTheDocument();
+  });
+
+  it('remembers the league for the home page', async () => {
+    renderLeaguePage(LEAGUE_IDS[2024]);
+    await screen.findByRole('heading', { name: 'Fixture Dynasty League' });
+
+    expect(JSON.parse(window.localStorage.getItem('recentLeagues'))[0]).toMatchObject({
+      league_id: LEAGUE_IDS[2024],
+      name: 'Fixture Dynasty League',
+    });
+  });
+
+  it('explains an unknown league', async () => {
+    renderLeaguePage('123');
+
+    expect(await screen.findByText(/League 123 was not found/)).toBeInTheDocument();
+  });
+});
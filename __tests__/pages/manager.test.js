@@ -0,0 +1,71 @@
+/**
+ * @jest-environment jsdom
+ */
+// __tests__/pages/manager.test.js
+
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { useRouter } from 'next/router';
+import ManagerPage from '../../pages/manager/[userId]';
+import { routeApiToFixture, waitForApiCalls } from '../helpers/apiFetch';
+import { failRequests, LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+jest.mock('next/router', () => ({ useRouter: jest.fn() }));
+
+/**
+ * Renders the manager page as if it was opened at /manager/<userId>?leagueId=<leagueId>.
+ * @param {string} userId - The manager ID in the URL.
+ * @param {string} [leagueId] - The league ID in the query string.
+ */
+function renderManagerPage(userId, leagueId) {
+  useRouter.mockReturnValue({ isReady: true, query: { userId, ...(leagueId ? { leagueId } : {}) } });
+  return render(<ManagerPage />);
+}
+
+describe('Manager page', () => {
+  beforeEach(() => {
+    routeApiToFixture();
+  });
+
+  afterEach(waitForApiCalls);
+
+  it('shows the manager\'s career season by season', async () => {
+    renderManagerPage('470099541716271104', LEAGUE_IDS[2024]);
+
+    expect(await screen.findByRole('heading', { name: 'Fourth And One' })).toBeInTheDocument();
+    expect(screen.getByText('1x champion (2023)')).toBeInTheDocument();
+    const seasons = screen.getByRole('heading', { name: 'Season by Season' }).parentElement;
+    const rows = within(seasons).getAllByRole('row').slice(1);
+    expect(rows.map(row => within(row).getAllByRole('cell')[6].textContent)).toEqual(['In progress', 'Champion', '3rd place']);
+  });
+
+  it('links every opponent to their own profile', async () => {
+    renderManagerPage('470099541716271104', LEAGUE_IDS[2024]);
+
+    const opponents = (await screen.findByRole('heading', { name: 'Record vs Opponents' })).parentElement;
+    expect(within(opponents).getByRole('link', { name: 'Bench Warmer' }))
+      .toHaveAttribute('href', `/manager/461734119433527296?leagueId=${LEAGUE_IDS[2024]}`);
+  });
+
+  it('lists the seasons that could not be loaded', async () => {
+    routeApiToFixture(failRequests(503, url => url.endsWith(`${LEAGUE_IDS[2022]}/rosters`)));
+    renderManagerPage('470099541716271104', LEAGUE_IDS[2024]);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/Season 2022: .*Status: 503/);
+    const seasons = screen.getByRole('heading', { name: 'Season by Season' }).parentElement;
+    expect(within(seasons).getAllByRole('row').slice(1)).toHaveLength(2);
+  });
+
+  it('asks for a league when opened without one', () => {
+    renderManagerPage('470099541716271104');
+
+    expect(screen.getByText(/Manager profiles belong to a league/)).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('explains an unknown manager', async () => {
+    renderManagerPage('123', LEAGUE_IDS[2024]);
+
+    expect(await screen.findByText(/Manager 123 was not found/)).toBeInTheDocument();
+  });
+});
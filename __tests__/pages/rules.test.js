@@ -0,0 +1,41 @@
+/**
+ * @jest-environment jsdom
+ */
+// __tests__/pages/rules.test.js
+
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { useRouter } from 'next/router';
+import RulesPage from '../../pages/league/[leagueId]/rules';
+import { routeApiToFixture, waitForApiCalls } from '../helpers/apiFetch';
+import { LEAGUE_IDS } from '../helpers/sleeperFixture';
+
+jest.mock('next/router', () => ({ useRouter: jest.fn() }));
+
+describe('Rules page', () => {
+  beforeEach(() => {
+    routeApiToFixture();
+    useRouter.mockReturnValue({ isReady: true, query: { leagueId: LEAGUE_IDS[2024] } });
+  });
+
+  afterEach(waitForApiCalls);
+
+  it('highlights what changed from the season before', async () => {
+    render(<RulesPage />);
+
+    const season2023 = (await screen.findByRole('heading', { name: /Season 2023/ })).parentElement;
+    expect(within(season2023).getByText('Changes from 2022')).toBeInTheDocument();
+    expect(within(season2023).getByText('Reception: 0.5 → 1')).toBeInTheDocument();
+
+    const season2022 = screen.getByRole('heading', { name: /Season 2022/ }).parentElement;
+    expect(within(season2022).getByText('First season of the league.')).toBeInTheDocument();
+  });
+
+  it('lists the scoring eras', async () => {
+    render(<RulesPage />);
+
+    const eras = (await screen.findByRole('heading', { name: 'Scoring Eras' })).parentElement;
+    expect(within(eras).getAllByRole('listitem')).toHaveLength(3);
+    expect(within(eras).getByText(/Half PPR/)).toBeInTheDocument();
+  });
+});
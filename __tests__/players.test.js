@@ -0,0 +1,48 @@
+// __tests__/players.test.js
+
+import { getDefaultCache } from '../lib/cache';
+import { getPlayerDirectory, refreshPlayerDirectory } from '../lib/players';
+import { createFixtureClient } from './helpers/sleeperFixture';
+
+/**
+ * A live client whose player download is counted.
+ * @returns {object} - A client with just what lib/players.js uses.
+ */
+function createLiveClient() {
+  return {
+    usesSharedCache: true,
+    getPlayers: jest.fn(async () => ({ 4017: { full_name: 'Jalen Hurts', position: 'QB', fantasy_positions: ['QB'], team: 'PHI' } })),
+  };
+}
+
+describe('player directory', () => {
+  beforeEach(() => getDefaultCache().delete('players:nfl'));
+
+  it('downloads the dictionary once and shares it', async () => {
+    const client = createLiveClient();
+    await getPlayerDirectory(client);
+    const { players } = await getPlayerDirectory(createLiveClient());
+
+    expect(client.getPlayers).toHaveBeenCalledTimes(1);
+    expect(players['4017']).toEqual({ name: 'Jalen Hurts', position: 'QB', fantasy_positions: ['QB'], team: 'PHI' });
+  });
+
+  it('refreshes at most once a day', async () => {
+    const client = createLiveClient();
+    const directory = await refreshPlayerDirectory(client);
+
+    expect(await refreshPlayerDirectory(client)).toEqual(directory);
+    expect(client.getPlayers).toHaveBeenCalledTimes(1);
+
+    await getDefaultCache().set('players:nfl', { ...directory, updated_at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+    await refreshPlayerDirectory(client);
+    expect(client.getPlayers).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps a fixture\'s players out of the shared cache', async () => {
+    const { players } = await getPlayerDirectory(createFixtureClient());
+
+    expect(Object.keys(players).length).toBeGreaterThan(0);
+    expect(await getDefaultCache().get('players:nfl')).toBeUndefined();
+  });
+});
@@ -0,0 +1,134 @@
+// __tests__/sleeper/scheduler.test.js
+
+import { createRequestScheduler } from '../../lib/sleeper/scheduler';
+
+const respond = (status, body = null, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body,
+});
+
+// A fetcher whose requests stay open until the test resolves them
+function createControlledFetcher() {
+  const pending = [];
+  const fetcher = jest.fn(url => new Promise(resolve => pending.push({ url, resolve })));
+  return { fetcher, pending };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createRequestScheduler', () => {
+  it('runs at most `concurrency` requests at once', async () => {
+    const { fetcher, pending } = createControlledFetcher();
+    const scheduler = createRequestScheduler({ concurrency: 2 });
+
+    const requests = ['/a', '/b', '/c'].map(url => scheduler.fetch(url, fetcher));
+    await flush();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(scheduler.stats()).toEqual({ active: 2, queued: 1, in_flight: 3 });
+
+    pending[0].resolve(respond(200, 'a'));
+    await flush();
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    expect(fetcher).toHaveBeenLastCalledWith('/c');
+
+    pending[1].resolve(respond(200, 'b'));
+    pending[2].resolve(respond(200, 'c'));
+    const bodies = await Promise.all(requests.map(async request => (await request).json()));
+    expect(bodies).toEqual(['a', 'b', 'c']);
+    expect(scheduler.stats()).toEqual({ active: 0, queued: 0, in_flight: 0 });
+  });
+
+  it('shares one request between callers asking for the same URL', async () => {
+    const fetcher = jest.fn(async () => respond(200, { rosters: [1, 2] }));
+    const scheduler = createRequestScheduler();
+
+    const [first, second] = await Promise.all([scheduler.fetch('/rosters', fetcher), scheduler.fetch('/rosters', fetcher)]);
+    const firstBody = await first.json();
+    firstBody.rosters.push(3);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(await second.json()).toEqual({ rosters: [1, 2] });
+  });
+
+  it('fetches a URL again once the earlier request has finished', async () => {
+    const fetcher = jest.fn(async () => respond(200, []));
+    const scheduler = createRequestScheduler();
+
+    await scheduler.fetch('/users', fetcher);
+    await scheduler.fetch('/users', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries 429s and server errors with exponential backoff', async () => {
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce(respond(429))
+      .mockResolvedValueOnce(respond(503))
+      .mockResolvedValueOnce(respond(200, 'ok'));
+    const sleep = jest.fn(async () => {});
+    const scheduler = createRequestScheduler({ retryDelayMs: 500, sleep });
+
+    const res = await scheduler.fetch('/league', fetcher);
+
+    expect(await res.json()).toBe('ok');
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[500], [1000]]);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce(respond(429, null, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(respond(200, 'ok'));
+    const sleep = jest.fn(async () => {});
+    const scheduler = createRequestScheduler({ sleep });
+
+    await scheduler.fetch('/league', fetcher);
+
+    expect(sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it('gives up on a Retry-After longer than it is willing to wait', async () => {
+    const fetcher = jest.fn(async () => respond(429, null, { 'retry-after': '3600' }));
+    const sleep = jest.fn(async () => {});
+    const scheduler = createRequestScheduler({ maxRetryAfterMs: 10000, sleep });
+
+    const res = await scheduler.fetch('/league', fetcher);
+
+    expect(res).toMatchObject({ ok: false, status: 429 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('retries network errors and throws the last one when retries run out', async () => {
+    const fetcher = jest.fn(async () => { throw new Error('socket hang up'); });
+    const scheduler = createRequestScheduler({ retries: 2, sleep: async () => {} });
+
+    await expect(scheduler.fetch('/league', fetcher)).rejects.toThrow('socket hang up');
+    expect(fetcher).toHaveBeenCalledTimes(3);
+  });
+
+  it('returns the last error response when retries run out', async () => {
+    const fetcher = jest.fn(async () => respond(502));
+    const scheduler = createRequestScheduler({ retries: 1, sleep: async () => {} });
+
+    const res = await scheduler.fetch('/league', fetcher);
+
+    expect(res).toMatchObject({ ok: false, status: 502 });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry client errors', async () => {
+    const fetcher = jest.fn(async () => respond(404));
+    const sleep = jest.fn(async () => {});
+    const scheduler = createRequestScheduler({ sleep });
+
+    const res = await scheduler.fetch('/league/123', fetcher);
+
+    expect(res.status).toBe(404);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+// Leaderboard columns; `format` renders the cell value and `sortable: false` leaves the header plain
+const COLUMNS = [
+  { key: 'name', label: 'Manager', format: (row, leagueId) => <ManagerLink leagueId={leagueId} managerId={row.manager_id}>{row.name}</ManagerLink> },
+  { key: 'seasons', label: 'Seasons' },
+  { key: 'wins', label: 'W-L-T', format: (row) => `${row.wins}-${row.losses}-${row.ties}` },
+  { key: 'win_pct', label: 'Win %', format: (row) => `${(row.win_pct * 100).toFixed(1)}%` },
+  { key: 'points_for', label: 'Points For', format: (row) => row.points_for.toFixed(2) },
+  { key: 'points_against', label: 'Points Against', format: (row) => row.points_against.toFixed(2) },
+  {
+    key: 'eras',
+    label: 'Points by Era',
+    sortable: false,
+    format: (row) => row.eras.map(era => (
+      <span key={era.era} className="block text-xs">
+        <span className="text-accent font-semibold">Era {era.era}</span> ({era.label}): {era.points_for.toFixed(2)}
+      </span>
+    )),
+  },
+  { key: 'playoff_appearances', label: 'Playoffs' },
+  { key: 'titles', label: 'Titles' },
+  { key: 'runner_ups', label: 'Runner-Ups' },
+  { key: 'last_places', label: 'Last Place' },
+];
+
+/**
+ * AllTimeLeaderboard Component
+ * Career totals for every manager across the whole league history, sortable by any column.
+ * When the league changed its scoring, points for are also split by scoring era.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID to load the leaderboard for.
+ */
+const AllTimeLeaderboard = ({ leagueId }) => {
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'win_pct', direction: 'desc' });
+
+  useEffect(() => {
+    const fetchLeaderboard = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=alltime`);
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        setLeaderboard(await res.json());
+      } catch (e) {
+        console.error("Error fetching all-time leaderboard:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeaderboard();
+  }, [leagueId]);
+
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      // Clicking the active column flips the order; names start A-Z, numbers start high-to-low
+      direction: current.key === key
+        ? (current.direction === 'desc' ? 'asc' : 'desc')
+        : (key === 'name' ? 'asc' : 'desc'),
+    }));
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <p className="text-red-400">Could not load the all-time leaderboard: {error}</p>;
+  }
+
+  if (leaderboard.length === 0) {
+    return <p className="text-textLight">No completed seasons to total up yet.</p>;
+  }
+
+  // Splitting points by era only says something once the scoring has changed
+  const eraCount = new Set(leaderboard.flatMap(row => (row.eras || []).map(era => era.era))).size;
+  const columns = eraCount > 1 ? COLUMNS : COLUMNS.filter(column => column.key !== 'eras');
+
+  const sortedRows = [...leaderboard].sort((a, b) => {
+    const order = sort.direction === 'asc' ? 1 : -1;
+    if (sort.key === 'name') return order * a.name.localeCompare(b.name);
+    return order * (a[sort.key] - b[sort.key]);
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+        <thead className="bg-secondary">
+          <tr>
+            {columns.map(column => (
+              <th key={column.key} className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider whitespace-nowrap">
+                {column.sortable === false ? column.label : (
+                  <button type="button" onClick={() => handleSort(column.key)} className="uppercase tracking-wider hover:text-accent">
+                    {column.label}
+                    {sort.key === column.key && <span className="ml-1">{sort.direction === 'asc' ? '▲' : '▼'}</span>}
+                  </button>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-cardBg divide-y divide-secondary">
+          {sortedRows.map(row => (
+            <tr key={row.manager_id} className="hover:bg-inputBg transition-colors duration-200">
+              {columns.map(column => (
+                <td key={column.key} className="px-4 py-2 whitespace-nowrap text-textLight">
+                  {column.format ? column.format(row, leagueId) : row[column.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AllTimeLeaderboard;
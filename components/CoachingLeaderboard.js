@@ -0,0 +1,117 @@
+// components/CoachingLeaderboard.js
+
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+const headerClassName = 'px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider whitespace-nowrap';
+
+// Season-by-season efficiency, e.g. "2023: 90.2%"
+const describeSeasons = (seasons) => seasons
+  .map(season => `${season.season}: ${season.efficiency !== null ? `${season.efficiency.toFixed(1)}%` : '-'}`)
+  .join(' · ');
+
+/**
+ * The loaded leaderboard: one row per manager, best coach first.
+ */
+const CoachingTable = ({ leaderboard, leagueId }) => {
+  if (leaderboard.length === 0) {
+    return <p className="text-textLight">No scored lineups to compare yet.</p>;
+  }
+
+  return (
+    <>
+      <p className="text-sm text-gray-400 mb-3">
+        Regular-season points started as a share of the best lineups each roster allowed. A perfect week left nothing better on the bench.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+          <thead className="bg-secondary">
+            <tr>
+              <th className={headerClassName}>Manager</th>
+              <th className={headerClassName}>Efficiency</th>
+              <th className={headerClassName}>Points Started</th>
+              <th className={headerClassName}>Optimal Points</th>
+              <th className={headerClassName}>Left on Bench</th>
+              <th className={headerClassName}>Perfect Weeks</th>
+              <th className={headerClassName}>By Season</th>
+            </tr>
+          </thead>
+          <tbody className="bg-cardBg divide-y divide-secondary">
+            {leaderboard.map(row => (
+              <tr key={row.manager_id} className="hover:bg-inputBg transition-colors duration-200">
+                <td className="px-4 py-2 whitespace-nowrap text-textLight">
+                  <ManagerLink leagueId={leagueId} managerId={row.manager_id}>{row.name}</ManagerLink>
+                </td>
+                <td className="px-4 py-2 whitespace-nowrap text-accent font-semibold">{row.efficiency !== null ? `${row.efficiency.toFixed(1)}%` : '-'}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-textLight">{row.points.toFixed(2)}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-textLight">{row.optimal_points.toFixed(2)}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-textLight">{row.points_left_on_bench.toFixed(2)}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-textLight">{row.perfect_weeks} / {row.weeks}</td>
+                <td className="px-4 py-2 whitespace-nowrap text-xs text-gray-400">{describeSeasons(row.seasons)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+/**
+ * CoachingLeaderboard Component
+ * Every manager's regular-season points left on the bench across the league history: how close
+ * their lineups came to the best ones their rosters allowed. Loaded on demand because ranking
+ * the optimal lineups needs Sleeper's player dictionary.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the most recent season.
+ */
+const CoachingLeaderboard = ({ leagueId }) => {
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (leaderboard || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=coaching`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      setLeaderboard((await res.json()).leaderboard);
+    } catch (e) {
+      console.error("Error fetching coaching leaderboard:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide coaching leaderboard' : 'Show coaching leaderboard'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load the coaching leaderboard: {error}</p>
+          ) : leaderboard && (
+            <CoachingTable leaderboard={leaderboard} leagueId={leagueId} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoachingLeaderboard;
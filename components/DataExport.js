@@ -0,0 +1,43 @@
+// components/DataExport.js
+
+import React from 'react';
+
+// The downloads offered, each served by /api/league-data as a file
+const EXPORTS = [
+  { label: 'Champions (CSV)', query: 'dataType=export_csv&table=champions' },
+  { label: 'Standings (CSV)', query: 'dataType=export_csv&table=standings' },
+  { label: 'Matchups (CSV)', query: 'dataType=export_csv&table=matchups' },
+  { label: 'Full archive (JSON)', query: 'dataType=archive' },
+];
+
+/**
+ * DataExport Component
+ * Download buttons for the league's champions, standings and matchups as spreadsheets, and for
+ * a JSON archive of the whole league that can be kept as a backup.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the most recent season.
+ */
+const DataExport = ({ leagueId }) => {
+  return (
+    <div>
+      <p className="text-sm text-gray-400 mb-4">
+        Every file covers all seasons of the league. The archive also keeps the raw Sleeper data, so it stays complete even if Sleeper drops old seasons.
+      </p>
+      <div className="flex flex-wrap gap-3">
+        {EXPORTS.map(({ label, query }) => (
+          <a
+            key={label}
+            href={`/api/league-data?leagueId=${leagueId}&${query}`}
+            download
+            className="px-4 py-2 rounded-lg bg-accent text-white font-semibold hover:opacity-90 transition-opacity duration-200"
+          >
+            {label}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DataExport;
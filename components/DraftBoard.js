@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+// Cell colours per position, in the spirit of Sleeper's own draft board
+const POSITION_COLOURS = {
+  QB: 'bg-red-800',
+  RB: 'bg-green-800',
+  WR: 'bg-blue-800',
+  TE: 'bg-orange-700',
+  K: 'bg-purple-800',
+  DEF: 'bg-gray-600',
+};
+
+// The pick's number within its round, e.g. the 27th overall pick of a 12-team draft is 3.03
+const pickInRound = (pick, teams) => pick.pick_no - (pick.round - 1) * teams;
+
+/**
+ * DraftBoard Component
+ * A season's draft board: one row per round, one column per draft slot.
+ * Picks are loaded on demand because each draft needs several requests.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the season.
+ * @param {string} [props.historyLeagueId] - The most recent season's league ID, for links to manager profiles.
+ */
+const DraftBoard = ({ leagueId, historyLeagueId }) => {
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (board || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=draft_board`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      setBoard(await res.json());
+    } catch (e) {
+      console.error("Error fetching draft board:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide draft board' : 'Show draft board'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load the draft: {error}</p>
+          ) : !board || board.drafts.length === 0 ? (
+            <p className="text-textLight">No draft was found for this season.</p>
+          ) : (
+            board.drafts.map(draft => (
+              <div key={draft.draft_id} className="mb-6">
+                <p className="text-sm text-gray-400 mb-2 capitalize">
+                  {draft.type} draft &middot; {draft.rounds} rounds &middot; {draft.status.replace(/_/g, ' ')}
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full border-separate border-spacing-1 text-xs">
+                    <thead>
+                      <tr>
+                        <th className="px-2 py-1 text-left text-textLight">Rd</th>
+                        {draft.slots.map(slot => (
+                          <th key={slot.slot} className="px-2 py-1 text-left text-textLight whitespace-nowrap">
+                            <ManagerLink leagueId={historyLeagueId} managerId={slot.manager_id}>{slot.owner}</ManagerLink>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Array.from({ length: draft.rounds }, (_, i) => i + 1).map(round => (
+                        <tr key={round}>
+                          <td className="px-2 py-1 font-semibold text-textLight">{round}</td>
+                          {draft.slots.map(slot => {
+                            const pick = draft.picks.find(p => p.round === round && p.draft_slot === slot.slot);
+                            if (!pick) {
+                              return <td key={slot.slot} className="px-2 py-1 rounded bg-secondary text-gray-400">&mdash;</td>;
+                            }
+                            return (
+                              <td
+                                key={slot.slot}
+                                className={`px-2 py-1 rounded align-top min-w-[7rem] ${POSITION_COLOURS[pick.position] || 'bg-secondary'}`}
+                                title={pick.traded ? `Pick originally owned by ${pick.original_owner}` : undefined}
+                              >
+                                <span className="block text-gray-300">{pick.round}.{String(pickInRound(pick, draft.slots.length)).padStart(2, '0')}</span>
+                                <span className="block font-semibold text-white">{pick.player_name}</span>
+                                <span className="block text-gray-300">{pick.position}{pick.team ? ` - ${pick.team}` : ''}</span>
+                                {pick.is_keeper && <span className="inline-block mt-1 mr-1 px-1 rounded bg-yellow-500 text-textDark font-bold">K</span>}
+                                {pick.traded && (
+                                  <span className="inline-block mt-1 px-1 rounded bg-accent text-white">
+                                    to <ManagerLink leagueId={historyLeagueId} managerId={pick.manager_id}>{pick.owner}</ManagerLink>
+                                  </span>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DraftBoard;
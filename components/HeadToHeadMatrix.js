@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+import { formatRecord } from '../lib/format';
+
+/**
+ * HeadToHeadMatrix Component
+ * Shows the all-time head-to-head record between every pair of managers.
+ * Clicking a cell lists the games between those two managers.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID to load head-to-head records for.
+ */
+const HeadToHeadMatrix = ({ leagueId }) => {
+  const [h2h, setH2h] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedPair, setSelectedPair] = useState(null);
+
+  useEffect(() => {
+    const fetchH2h = async () => {
+      setLoading(true);
+      setError(null);
+      setSelectedPair(null);
+
+      try {
+        const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=h2h`);
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        setH2h(await res.json());
+      } catch (e) {
+        console.error("Error fetching head-to-head records:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchH2h();
+  }, [leagueId]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <p className="text-red-400">Could not load head-to-head records: {error}</p>;
+  }
+
+  if (!h2h || h2h.managers.length === 0) {
+    return <p className="text-textLight">No matchups have been played in this league yet.</p>;
+  }
+
+  const nameFor = (managerId) => h2h.managers.find(m => m.manager_id === managerId)?.name || 'Unknown Owner';
+  const recordFor = (managerId, opponentId) => h2h.matrix[managerId]?.[opponentId] || null;
+
+  // Games between the selected pair, most recent first
+  const selectedGames = selectedPair
+    ? h2h.games
+      .filter(game => {
+        const managerIds = game.teams.map(team => team.manager_id);
+        return managerIds.includes(selectedPair.managerId) && managerIds.includes(selectedPair.opponentId);
+      })
+      .sort((a, b) => (b.season - a.season) || (b.week - a.week))
+    : [];
+  const selectedRecord = selectedPair ? recordFor(selectedPair.managerId, selectedPair.opponentId) : null;
+
+  return (
+    <div>
+      <p className="text-sm text-textLight mb-3">Rows show each manager&apos;s record against the column manager. Click a record to see every game.</p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden text-sm">
+          <thead className="bg-secondary">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Manager</th>
+              {h2h.managers.map(opponent => (
+                <th key={opponent.manager_id} className="px-3 py-2 text-center font-medium text-textLight whitespace-nowrap"><ManagerLink leagueId={leagueId} managerId={opponent.manager_id}>{opponent.name}</ManagerLink></th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-cardBg divide-y divide-secondary">
+            {h2h.managers.map(manager => (
+              <tr key={manager.manager_id}>
+                <td className="px-3 py-2 whitespace-nowrap font-semibold text-textLight"><ManagerLink leagueId={leagueId} managerId={manager.manager_id}>{manager.name}</ManagerLink></td>
+                {h2h.managers.map(opponent => {
+                  if (manager.manager_id === opponent.manager_id) {
+                    return <td key={opponent.manager_id} className="px-3 py-2 text-center bg-secondary">&mdash;</td>;
+                  }
+                  const record = recordFor(manager.manager_id, opponent.manager_id);
+                  if (!record) {
+                    return <td key={opponent.manager_id} className="px-3 py-2 text-center text-gray-400">-</td>;
+                  }
+                  const isSelected = selectedPair?.managerId === manager.manager_id && selectedPair?.opponentId === opponent.manager_id;
+                  const colour = record.wins > record.losses ? 'text-green-400' : record.wins < record.losses ? 'text-red-400' : 'text-textLight';
+                  return (
+                    <td key={opponent.manager_id} className={`px-1 py-1 text-center ${isSelected ? 'bg-inputBg' : ''}`}>
+                      <button
+                        type="button"
+                        onClick={() => setSelectedPair({ managerId: manager.manager_id, opponentId: opponent.manager_id })}
+                        className={`w-full px-2 py-1 rounded hover:bg-inputBg transition-colors duration-200 whitespace-nowrap ${colour}`}
+                      >
+                        {formatRecord(record)}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Game-by-game drill down for the selected pair */}
+      {selectedPair && selectedRecord && (
+        <div className="mt-6 border border-secondary rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-xl font-bold text-accent">
+              {nameFor(selectedPair.managerId)} vs {nameFor(selectedPair.opponentId)}
+            </h3>
+            <button type="button" onClick={() => setSelectedPair(null)} className="text-sm text-textLight hover:text-accent">Close</button>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-sm">
+            <div><span className="block text-gray-400">Record</span>{selectedRecord.wins}-{selectedRecord.losses}-{selectedRecord.ties}</div>
+            <div><span className="block text-gray-400">Points For</span>{selectedRecord.points_for.toFixed(2)}</div>
+            <div><span className="block text-gray-400">Points Against</span>{selectedRecord.points_against.toFixed(2)}</div>
+            <div>
+              <span className="block text-gray-400">Biggest Win</span>
+              {selectedRecord.biggest_win
+                ? `+${selectedRecord.biggest_win.margin.toFixed(2)} (${selectedRecord.biggest_win.season} Wk ${selectedRecord.biggest_win.week})`
+                : '-'}
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden text-sm">
+              <thead className="bg-secondary">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-textLight uppercase tracking-wider">Season</th>
+                  <th className="px-4 py-2 text-left font-medium text-textLight uppercase tracking-wider">Week</th>
+                  <th className="px-4 py-2 text-left font-medium text-textLight uppercase tracking-wider">{nameFor(selectedPair.managerId)}</th>
+                  <th className="px-4 py-2 text-left font-medium text-textLight uppercase tracking-wider">{nameFor(selectedPair.opponentId)}</th>
+                  <th className="px-4 py-2 text-left font-medium text-textLight uppercase tracking-wider">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-cardBg divide-y divide-secondary">
+                {selectedGames.map(game => {
+                  const team = game.teams.find(t => t.manager_id === selectedPair.managerId);
+                  const opponent = game.teams.find(t => t.manager_id === selectedPair.opponentId);
+                  const result = team.points > opponent.points ? 'W' : team.points < opponent.points ? 'L' : 'T';
+                  return (
+                    <tr key={`${game.season}-${game.week}`} className="hover:bg-inputBg transition-colors duration-200">
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{game.season}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{game.week}{game.playoffs && <span className="ml-1 text-xs text-accent">(Playoffs)</span>}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.points.toFixed(2)}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{opponent.points.toFixed(2)}</td>
+                      <td className={`px-4 py-2 whitespace-nowrap font-semibold ${result === 'W' ? 'text-green-400' : result === 'L' ? 'text-red-400' : 'text-textLight'}`}>{result}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeadToHeadMatrix;
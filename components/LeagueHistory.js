@@ -0,0 +1,251 @@
+// components/LeagueHistory.js
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import LoadingSpinner from './LoadingSpinner';
+import HeadToHeadMatrix from './HeadToHeadMatrix';
+import AllTimeLeaderboard from './AllTimeLeaderboard';
+import DraftBoard from './DraftBoard';
+import TransactionLog from './TransactionLog';
+import DataExport from './DataExport';
+import PowerRankings from './PowerRankings';
+import PlayoffBracket from './PlayoffBracket';
+import LineupExplorer from './LineupExplorer';
+import CoachingLeaderboard from './CoachingLeaderboard';
+import ManagerLink from './ManagerLink';
+import { rememberLeague } from '../lib/recentLeagues';
+
+/**
+ * LeagueHistory Component
+ * Renders the champions and seasonal standings for a league and all of its previous seasons.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID to render history for.
+ */
+const LeagueHistory = ({ leagueId }) => {
+  const [championsHistory, setChampionsHistory] = useState([]);
+  const [failedSeasons, setFailedSeasons] = useState([]);
+  const [standingsBySeason, setStandingsBySeason] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        // One snapshot holds the champions and standings of every season
+        const snapshotRes = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=snapshot`);
+        const snapshot = await snapshotRes.json();
+        if (!snapshotRes.ok) {
+          // The API explains 404s (unknown league) and 502s (Sleeper is down) in `error`
+          throw new Error(snapshot.error || `HTTP error! status: ${snapshotRes.status}`);
+        }
+        setChampionsHistory(snapshot.seasons);
+        setFailedSeasons(snapshot.failed_seasons || []);
+
+        // Remember this league in the browser so it can be picked again from the home page
+        rememberLeague({ league_id: leagueId, name: snapshot.name, season: snapshot.current_season });
+
+        const standingsMap = {};
+        snapshot.seasons.forEach(({ season, league_id, name, standings }) => {
+          standingsMap[season] = { season, league_id, standings, league_name: name };
+        });
+        setStandingsBySeason(standingsMap);
+      } catch (e) {
+        console.error("Error fetching data:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [leagueId]); // Refetch whenever the league changes
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="flex justify-center items-center min-h-screen bg-primary text-red-400 p-4">
+        <p>Error: {error}. Please check the console for more details.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-primary text-textLight p-4 sm:p-6 lg:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl sm:text-4xl font-bold text-accent mb-8 text-center rounded-lg p-3 bg-cardBg shadow-lg">
+          {championsHistory[0]?.name || 'Fantasy Football League History'}
+        </h1>
+
+        <div className="mb-6 flex justify-center gap-6">
+          <Link href="/" className="text-accent hover:underline">&larr; Choose another league</Link>
+          <Link href={`/league/${leagueId}/records`} className="text-accent hover:underline">Record Book</Link>
+          <Link href={`/league/${leagueId}/rules`} className="text-accent hover:underline">Rules</Link>
+        </div>
+
+        {/* Seasons that could not be loaded from Sleeper */}
+        {failedSeasons.length > 0 && (
+          <div className="bg-cardBg border border-red-400 text-red-400 p-4 rounded-lg shadow-lg mb-8" role="alert">
+            <p className="font-semibold">Some seasons could not be loaded from Sleeper and are missing below:</p>
+            <ul className="list-disc ml-6 text-sm">
+              {failedSeasons.map(failed => (
+                <li key={failed.league_id}>
+                  {failed.season ? `Season ${failed.season}` : `League ${failed.league_id} and any earlier seasons`}: {failed.error}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Champions History Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">League Champions</h2>
+          {championsHistory.length === 0 ? (
+            <p className="text-textLight">No champion history found for this league. Ensure the league ID is correct and has previous seasons.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+                <thead className="bg-secondary">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Season</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">League Name</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Champion</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Runner-Up</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Third Place</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Final Score</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Regular Season Leader</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Total Rosters</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-cardBg divide-y divide-secondary">
+                  {championsHistory.map((entry) => (
+                    <tr key={entry.league_id} className="hover:bg-inputBg transition-colors duration-200">
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{entry.season}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{entry.name}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">
+                        {entry.champion_source === 'in_progress' ? (
+                          <span className="italic">In progress</span>
+                        ) : (
+                          <>
+                            <ManagerLink leagueId={leagueId} managerId={entry.champion_manager_id}>{entry.champion || 'Unknown'}</ManagerLink>
+                            {entry.champion_source === 'regular_season' && (
+                              <span className="ml-2 text-xs text-accent" title="No playoff bracket was found for this season">(best record)</span>
+                            )}
+                          </>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight"><ManagerLink leagueId={leagueId} managerId={entry.runner_up_manager_id}>{entry.runner_up || '-'}</ManagerLink></td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight"><ManagerLink leagueId={leagueId} managerId={entry.third_place_manager_id}>{entry.third_place || '-'}</ManagerLink></td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">
+                        {entry.championship_score && entry.championship_score.winner_points !== null
+                          ? `${entry.championship_score.winner_points.toFixed(2)} - ${(entry.championship_score.loser_points ?? 0).toFixed(2)}`
+                          : '-'}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight"><ManagerLink leagueId={leagueId} managerId={entry.regular_season_leader_manager_id}>{entry.regular_season_leader || '-'}</ManagerLink></td>
+                      <td className="px-4 py-2 whitespace-nowrap text-textLight">{entry.total_rosters}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* All-Time Leaderboard Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">All-Time Leaderboard</h2>
+          <AllTimeLeaderboard leagueId={leagueId} />
+        </div>
+
+        {/* Coaching Efficiency Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Coaching Efficiency</h2>
+          <CoachingLeaderboard leagueId={leagueId} />
+        </div>
+
+        {/* Standings by Season Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Seasonal Standings</h2>
+          {Object.keys(standingsBySeason).length === 0 ? (
+            <p className="text-textLight">No standings data available for past seasons. Make sure your league has completed seasons with recorded stats.</p>
+          ) : (
+            <div className="space-y-8">
+              {Object.keys(standingsBySeason).sort((a, b) => b - a).map(season => (
+                <div key={season} className="border border-secondary rounded-lg p-4">
+                  <h3 className="text-xl font-bold text-accent mb-3">Season {season}</h3>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+                      <thead className="bg-secondary">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Rank</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Owner</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Wins</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Losses</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Ties</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Win %</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Points For</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Points Against</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Max Points</th>
+                          <th className="px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider">Efficiency</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-cardBg divide-y divide-secondary">
+                        {standingsBySeason[season].standings.map((team, index) => (
+                          <tr key={team.roster_id} className="hover:bg-inputBg transition-colors duration-200">
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{index + 1}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">
+                              <ManagerLink leagueId={leagueId} managerId={team.manager_id}>{team.owner}</ManagerLink>
+                              {team.team_name && <span className="block text-xs text-gray-400">{team.team_name}</span>}
+                            </td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.wins}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.losses}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.ties}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{(team.win_pct * 100).toFixed(1)}%</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.total_points.toFixed(2)}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.points_against.toFixed(2)}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.max_points !== null ? team.max_points.toFixed(2) : '-'}</td>
+                            <td className="px-4 py-2 whitespace-nowrap text-textLight">{team.efficiency !== null ? `${team.efficiency.toFixed(1)}%` : '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <PowerRankings leagueId={standingsBySeason[season].league_id} historyLeagueId={leagueId} />
+                  <PlayoffBracket leagueId={standingsBySeason[season].league_id} historyLeagueId={leagueId} />
+                  <LineupExplorer leagueId={standingsBySeason[season].league_id} historyLeagueId={leagueId} />
+                  <DraftBoard leagueId={standingsBySeason[season].league_id} historyLeagueId={leagueId} />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Head-to-Head Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">All-Time Head-to-Head</h2>
+          <HeadToHeadMatrix leagueId={leagueId} />
+        </div>
+
+        {/* Transactions Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Transactions</h2>
+          <TransactionLog leagueId={leagueId} />
+        </div>
+
+        {/* Export Section */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Export</h2>
+          <DataExport leagueId={leagueId} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeagueHistory;
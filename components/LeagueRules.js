@@ -0,0 +1,126 @@
+// components/LeagueRules.js
+
+import React, { useState, useEffect } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+
+// Sections of a season's rules: the rows key they render and the `section` of their changes
+const SECTIONS = [
+  { key: 'scoring', title: 'Scoring', section: 'scoring', id: row => row.key, value: row => row.value },
+  { key: 'roster_positions', title: 'Roster', section: 'roster', id: row => row.position, value: row => row.count },
+  { key: 'settings', title: 'Settings', section: 'settings', id: row => row.key, value: row => row.value },
+];
+
+// How a rule reads when it was added or removed
+const describeValue = (value) => (value === null ? 'none' : String(value));
+
+/**
+ * LeagueRules Component
+ * Every season's scoring, roster slots and league settings, with the rules that changed from
+ * the season before highlighted, and the scoring eras they add up to.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the most recent season.
+ */
+const LeagueRules = ({ leagueId }) => {
+  const [rules, setRules] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=rules`);
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        setRules(await res.json());
+      } catch (e) {
+        console.error("Error fetching league rules:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRules();
+  }, [leagueId]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <p className="text-red-400">Could not load the league rules: {error}</p>;
+  }
+
+  return (
+    <>
+      <section className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+        <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Scoring Eras</h2>
+        <p className="text-sm text-gray-400 mb-3">
+          Seasons played under the same scoring settings. Records and leaderboards mark the era their points come from.
+        </p>
+        <ol className="space-y-1 text-textLight">
+          {rules.eras.map(era => (
+            <li key={era.era}>
+              <span className="font-semibold text-accent mr-2">Era {era.era}</span>
+              {era.label} &middot; {era.summary}
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      {rules.seasons.map(season => {
+        const changed = new Set(season.changes.map(change => `${change.section}:${change.key}`));
+        return (
+          <section key={season.league_id} className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+            <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">
+              Season {season.season} <span className="text-base text-gray-400">&middot; Era {season.era}</span>
+            </h2>
+
+            {season.changes.length > 0 ? (
+              <div className="bg-inputBg border border-accent rounded-lg p-4 mb-4">
+                <p className="font-semibold text-accent mb-2">Changes from {season.compared_to}</p>
+                <ul className="space-y-1 text-sm text-textLight">
+                  {season.changes.map(change => (
+                    <li key={`${change.section}:${change.key}`}>
+                      {change.label}: {describeValue(change.from)} &rarr; {describeValue(change.to)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-400 mb-4">
+                {season.compared_to ? `No rule changes from ${season.compared_to}.` : 'First season of the league.'}
+              </p>
+            )}
+
+            <div className="grid gap-6 md:grid-cols-3">
+              {SECTIONS.map(section => (
+                <div key={section.key}>
+                  <h3 className="text-lg font-semibold text-textLight mb-2">{section.title}</h3>
+                  <dl className="text-sm">
+                    {season[section.key].map(row => {
+                      const isChanged = changed.has(`${section.section}:${section.id(row)}`);
+                      return (
+                        <div key={section.id(row)} className={`flex justify-between gap-2 px-2 py-1 rounded ${isChanged ? 'bg-secondary text-accent font-semibold' : 'text-textLight'}`}>
+                          <dt>{row.label}</dt>
+                          <dd className="whitespace-nowrap">{section.value(row)}</dd>
+                        </div>
+                      );
+                    })}
+                  </dl>
+                </div>
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </>
+  );
+};
+
+export default LeagueRules;
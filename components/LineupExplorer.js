@@ -0,0 +1,196 @@
+// components/LineupExplorer.js
+
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+const selectClassName = 'px-3 py-2 rounded-lg bg-inputBg text-textLight focus:outline-none focus:ring-2 focus:ring-accent';
+const headerClassName = 'px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider';
+
+/**
+ * A lineup as a table of slot, player and points. Rows whose player is not in `highlight`
+ * are marked, so started players missing from the optimal lineup (and the reverse) stand out.
+ */
+const LineupTable = ({ title, total, rows, highlight, highlightClassName }) => (
+  <div>
+    <h5 className="font-semibold text-textLight mb-2">
+      {title} <span className="text-accent">{total.toFixed(2)}</span>
+    </h5>
+    <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden text-sm">
+      <thead className="bg-secondary">
+        <tr>
+          <th className={headerClassName}>Slot</th>
+          <th className={headerClassName}>Player</th>
+          <th className={`${headerClassName} text-right`}>Pts</th>
+        </tr>
+      </thead>
+      <tbody className="bg-cardBg divide-y divide-secondary">
+        {rows.map((row, index) => (
+          <tr key={`${row.slot}-${index}`} className={row.player_id && !highlight.has(row.player_id) ? highlightClassName : 'text-textLight'}>
+            <td className="px-3 py-1 whitespace-nowrap">{row.slot}</td>
+            <td className="px-3 py-1">{row.player_id ? row.name : <span className="italic text-gray-400">Empty</span>}</td>
+            <td className="px-3 py-1 text-right whitespace-nowrap">{row.points.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * LineupExplorer Component
+ * A season's lineups team by team and week by week: who started, who sat on the bench, the best
+ * lineup the manager could have started, and the season's coaching efficiency per team.
+ * Loaded on demand because every week's matchups and the player dictionary are needed.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the season.
+ * @param {string} [props.historyLeagueId] - The most recent season's league ID, for links to manager profiles.
+ */
+const LineupExplorer = ({ leagueId, historyLeagueId }) => {
+  const [lineups, setLineups] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [selection, setSelection] = useState({ rosterId: null, week: null });
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (lineups || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=lineups`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      const data = await res.json();
+      setLineups(data);
+      // Start on the first team's most recent week
+      setSelection({ rosterId: data.teams[0]?.roster_id ?? null, week: data.weeks[data.weeks.length - 1]?.week ?? null });
+    } catch (e) {
+      console.error("Error fetching lineups:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const week = lineups?.weeks.find(w => w.week === selection.week);
+  const lineup = week?.lineups.find(l => l.roster_id === selection.rosterId);
+  const started = new Set(lineup ? lineup.starters.map(starter => starter.player_id) : []);
+  const optimal = new Set(lineup ? lineup.optimal_starters.map(starter => starter.player_id) : []);
+
+  return (
+    <div className="mt-4">
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide lineups' : 'Show lineups'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load the lineups: {error}</p>
+          ) : !lineups || lineups.weeks.length === 0 ? (
+            <p className="text-textLight">No scored weeks yet.</p>
+          ) : (
+            <>
+              <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                <select
+                  aria-label="Team"
+                  value={selection.rosterId ?? ''}
+                  onChange={(e) => setSelection(current => ({ ...current, rosterId: Number(e.target.value) }))}
+                  className={selectClassName}
+                >
+                  {lineups.teams.map(team => <option key={team.roster_id} value={team.roster_id}>{team.owner}</option>)}
+                </select>
+                <select
+                  aria-label="Week"
+                  value={selection.week ?? ''}
+                  onChange={(e) => setSelection(current => ({ ...current, week: Number(e.target.value) }))}
+                  className={selectClassName}
+                >
+                  {lineups.weeks.map(w => <option key={w.week} value={w.week}>Week {w.week}{w.playoffs ? ' (Playoffs)' : ''}</option>)}
+                </select>
+              </div>
+
+              {!lineup ? (
+                <p className="text-textLight">This team did not play in week {selection.week}.</p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-400 mb-3">
+                    {lineup.points_left_on_bench > 0
+                      ? `Left ${lineup.points_left_on_bench.toFixed(2)} points on the bench (${lineup.efficiency}% of the optimal lineup).`
+                      : 'Started the optimal lineup.'}
+                  </p>
+                  <div className="grid gap-4 md:grid-cols-2 mb-4">
+                    <LineupTable
+                      title="Started"
+                      total={lineup.starters.reduce((sum, starter) => sum + starter.points, 0)}
+                      rows={lineup.starters}
+                      highlight={optimal}
+                      highlightClassName="text-red-400"
+                    />
+                    <LineupTable
+                      title="Optimal"
+                      total={lineup.optimal_points}
+                      rows={lineup.optimal_starters}
+                      highlight={started}
+                      highlightClassName="text-green-400"
+                    />
+                  </div>
+                  <h5 className="font-semibold text-textLight mb-2">Bench</h5>
+                  {lineup.bench.length === 0 ? (
+                    <p className="text-sm text-gray-400 mb-4">Nobody on the bench.</p>
+                  ) : (
+                    <ul className="grid grid-cols-1 sm:grid-cols-2 gap-1 text-sm text-textLight mb-4">
+                      {lineup.bench.map(player => (
+                        <li key={player.player_id} className={optimal.has(player.player_id) ? 'text-green-400' : ''}>
+                          {player.name}
+                          <span className="text-xs text-gray-400 ml-1">{[player.position, player.team].filter(Boolean).join(' · ')}</span>
+                          <span className="float-right">{player.points.toFixed(2)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+
+              <h4 className="text-lg font-semibold text-textLight mb-2">Coaching efficiency, season {lineups.season}</h4>
+              <p className="text-sm text-gray-400 mb-2">Regular-season points started as a share of the best possible lineups.</p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden text-sm">
+                  <thead className="bg-secondary">
+                    <tr>
+                      <th className={headerClassName}>Owner</th>
+                      <th className={headerClassName}>Efficiency</th>
+                      <th className={headerClassName}>Left on Bench</th>
+                      <th className={headerClassName}>Perfect Weeks</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-cardBg divide-y divide-secondary">
+                    {lineups.coaching.map(team => (
+                      <tr key={team.roster_id} className="hover:bg-inputBg transition-colors duration-200">
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">
+                          <ManagerLink leagueId={historyLeagueId} managerId={team.manager_id}>{team.owner}</ManagerLink>
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{team.efficiency !== null ? `${team.efficiency.toFixed(1)}%` : '-'}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{team.points_left_on_bench.toFixed(2)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{team.perfect_weeks} / {team.weeks}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineupExplorer;
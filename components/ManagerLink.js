@@ -0,0 +1,32 @@
+// components/ManagerLink.js
+
+import React from 'react';
+import Link from 'next/link';
+
+/**
+ * Builds the URL of a manager's profile page.
+ * @param {string} leagueId - The Sleeper league ID of the most recent season.
+ * @param {string} managerId - The manager ID.
+ * @returns {string} - The profile URL.
+ */
+export const managerProfileUrl = (leagueId, managerId) => `/manager/${managerId}?leagueId=${leagueId}`;
+
+/**
+ * ManagerLink Component
+ * A manager's name linking to their profile page, or plain text when the manager is unknown.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the most recent season.
+ * @param {string|null} props.managerId - The manager ID.
+ * @param {React.ReactNode} props.children - The name to show.
+ */
+const ManagerLink = ({ leagueId, managerId, children }) => {
+  if (!managerId || !leagueId) return <>{children}</>;
+  return (
+    <Link href={managerProfileUrl(leagueId, managerId)} className="hover:text-accent hover:underline">
+      {children}
+    </Link>
+  );
+};
+
+export default ManagerLink;
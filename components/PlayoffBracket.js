@@ -0,0 +1,163 @@
+// components/PlayoffBracket.js
+
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+import { ordinal } from '../lib/format';
+
+// "Week 15" or "Weeks 15-16" for rounds played over two weeks
+const formatWeeks = (weeks) => {
+  if (weeks.length === 0) return null;
+  return weeks.length === 1 ? `Week ${weeks[0]}` : `Weeks ${weeks[0]}-${weeks[weeks.length - 1]}`;
+};
+
+/**
+ * One side of a bracket game: seed, owner and points, or where the team will come from.
+ */
+const BracketSide = ({ team, winnerRosterId, historyLeagueId }) => {
+  if (team.roster_id === null) {
+    return (
+      <div className="flex justify-between px-3 py-2 text-sm text-gray-400 italic">
+        {team.from ? `${team.from.result === 'winner' ? 'Winner' : 'Loser'} of match ${team.from.match}` : 'TBD'}
+      </div>
+    );
+  }
+
+  const won = winnerRosterId !== null && team.roster_id === winnerRosterId;
+  const lost = winnerRosterId !== null && !won;
+  return (
+    <div className={`flex justify-between gap-2 px-3 py-2 text-sm ${won ? 'bg-secondary font-semibold text-accent' : lost ? 'text-gray-400' : 'text-textLight'}`}>
+      <span className="truncate">
+        {team.seed !== null && <span className="text-xs text-gray-400 mr-1">({team.seed})</span>}
+        <ManagerLink leagueId={historyLeagueId} managerId={team.manager_id}>{team.owner}</ManagerLink>
+      </span>
+      <span className="whitespace-nowrap">{team.points !== null ? team.points.toFixed(2) : '-'}</span>
+    </div>
+  );
+};
+
+/**
+ * One bracket (winners or losers) laid out as rounds: side by side on wide screens, stacked on phones.
+ */
+const BracketRounds = ({ bracket, historyLeagueId }) => (
+  <>
+    <div className="flex flex-col sm:flex-row gap-4 overflow-x-auto">
+      {bracket.rounds.map(round => (
+        <div key={round.round} className="flex-1 sm:min-w-[12rem]">
+          <p className="text-xs text-gray-400 uppercase tracking-wider mb-2">
+            Round {round.round}{formatWeeks(round.weeks) && <> &middot; {formatWeeks(round.weeks)}</>}
+          </p>
+          <div className="flex flex-col gap-3 sm:justify-around sm:h-full">
+            {round.games.map(game => (
+              <div key={game.match} className="bg-inputBg rounded-lg overflow-hidden">
+                <p className="px-3 pt-2 text-xs text-gray-400">
+                  {game.label} &middot; match {game.match}
+                </p>
+                {game.teams.map((team, index) => (
+                  <BracketSide key={index} team={team} winnerRosterId={game.winner_roster_id} historyLeagueId={historyLeagueId} />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+    {bracket.byes.length > 0 && (
+      <p className="text-sm text-gray-400 mt-2">
+        Byes:{' '}
+        {bracket.byes.map((team, index) => (
+          <React.Fragment key={team.roster_id}>
+            {index > 0 && ', '}
+            ({team.seed}) <ManagerLink leagueId={historyLeagueId} managerId={team.manager_id}>{team.owner}</ManagerLink>
+          </React.Fragment>
+        ))}
+      </p>
+    )}
+  </>
+);
+
+/**
+ * PlayoffBracket Component
+ * A season's playoffs from Sleeper's winners and losers brackets: seeds, every round's scores,
+ * byes, consolation and toilet bowl games, and the final placements. Loaded on demand because
+ * every playoff week's matchups are needed.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the season.
+ * @param {string} [props.historyLeagueId] - The most recent season's league ID, for links to manager profiles.
+ */
+const PlayoffBracket = ({ leagueId, historyLeagueId }) => {
+  const [bracket, setBracket] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (bracket || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=bracket`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      setBracket(await res.json());
+    } catch (e) {
+      console.error("Error fetching playoff bracket:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide playoff bracket' : 'Show playoff bracket'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load the playoff bracket: {error}</p>
+          ) : !bracket || bracket.winners.rounds.length === 0 ? (
+            <p className="text-textLight">The playoff bracket has not been set yet.</p>
+          ) : (
+            <>
+              <h4 className="text-lg font-semibold text-textLight mb-2">Playoffs</h4>
+              <BracketRounds bracket={bracket.winners} historyLeagueId={historyLeagueId} />
+
+              {bracket.losers.rounds.length > 0 && (
+                <>
+                  <h4 className="text-lg font-semibold text-textLight mt-6 mb-2">Toilet Bowl</h4>
+                  <BracketRounds bracket={bracket.losers} historyLeagueId={historyLeagueId} />
+                </>
+              )}
+
+              {bracket.placements.length > 0 && (
+                <>
+                  <h4 className="text-lg font-semibold text-textLight mt-6 mb-2">Final placements</h4>
+                  <ol className="grid grid-cols-1 sm:grid-cols-2 gap-1 text-sm text-textLight">
+                    {bracket.placements.map(placement => (
+                      <li key={placement.place}>
+                        <span className="text-accent font-semibold mr-2">{ordinal(placement.place)}</span>
+                        <ManagerLink leagueId={historyLeagueId} managerId={placement.manager_id}>{placement.owner}</ManagerLink>
+                        {placement.seed !== null && <span className="text-xs text-gray-400 ml-1">(seed {placement.seed})</span>}
+                      </li>
+                    ))}
+                  </ol>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffBracket;
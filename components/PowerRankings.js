@@ -0,0 +1,118 @@
+// components/PowerRankings.js
+
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import RankChart from './RankChart';
+import ManagerLink from './ManagerLink';
+import { formatRecord } from '../lib/format';
+
+/**
+ * PowerRankings Component
+ * A season's power rankings: all-play record, expected wins and luck per team, and a chart of
+ * every team's power rank week by week. Loaded on demand because every week's matchups are needed.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID of the season.
+ * @param {string} [props.historyLeagueId] - The most recent season's league ID, for links to manager profiles.
+ */
+const PowerRankings = ({ leagueId, historyLeagueId }) => {
+  const [rankings, setRankings] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (rankings || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=power_rankings`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      setRankings(await res.json());
+    } catch (e) {
+      console.error("Error fetching power rankings:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const series = rankings
+    ? rankings.rankings.map(team => ({
+      id: team.roster_id,
+      label: team.owner,
+      ranks: rankings.weeks.map(week => week.teams.find(t => t.roster_id === team.roster_id)?.season_to_date.power_rank ?? null),
+    }))
+    : [];
+
+  return (
+    <div className="mt-4">
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide power rankings' : 'Show power rankings'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load the power rankings: {error}</p>
+          ) : !rankings || rankings.weeks.length === 0 ? (
+            <p className="text-textLight">No scored regular-season weeks yet.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-400 mb-2">
+                Ranked by all-play record, i.e. as if every team played all others each week, then points for.
+                Luck is actual wins minus expected wins.
+              </p>
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden text-sm">
+                  <thead className="bg-secondary">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Rank</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Owner</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Record</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">All-Play</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Expected Wins</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Luck</th>
+                      <th className="px-3 py-2 text-left font-medium text-textLight uppercase tracking-wider">Points For</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-cardBg divide-y divide-secondary">
+                    {rankings.rankings.map(team => (
+                      <tr key={team.roster_id} className="hover:bg-inputBg transition-colors duration-200">
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{team.power_rank}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">
+                          <ManagerLink leagueId={historyLeagueId} managerId={team.manager_id}>{team.owner}</ManagerLink>
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{formatRecord(team)}</td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">
+                          {formatRecord(team.all_play)} ({(team.all_play_pct * 100).toFixed(1)}%)
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">{team.expected_wins.toFixed(2)}</td>
+                        <td className={`px-3 py-2 whitespace-nowrap ${team.luck > 0 ? 'text-green-400' : team.luck < 0 ? 'text-red-400' : 'text-textLight'}`}>
+                          {team.luck > 0 ? '+' : ''}{team.luck.toFixed(2)}
+                        </td>
+                        <td className="px-3 py-2 whitespace-nowrap text-textLight">
+                          {team.points_for.toFixed(2)} <span className="text-xs text-gray-400">(#{team.pf_rank})</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <h4 className="text-lg font-semibold text-textLight mb-2">Power rank by week</h4>
+              <RankChart weeks={rankings.weeks.map(week => week.week)} series={series} title={`Power rank by week, season ${rankings.season}`} />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PowerRankings;
@@ -0,0 +1,86 @@
+// components/RankChart.js
+
+import React from 'react';
+
+// One line colour per team; enough for a 14-team league before colours repeat
+const LINE_COLOURS = [
+  '#60a5fa', '#f87171', '#34d399', '#fbbf24', '#a78bfa', '#f472b6', '#2dd4bf',
+  '#fb923c', '#a3e635', '#e879f9', '#38bdf8', '#facc15', '#94a3b8', '#4ade80',
+];
+
+// Drawing area of the chart in SVG units; the SVG scales to the width of its container
+const WIDTH = 640;
+const ROW_HEIGHT = 28;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+/**
+ * RankChart Component
+ * A hand-drawn SVG line chart of each team's rank over the weeks, rank 1 at the top.
+ *
+ * @param {object} props
+ * @param {Array<number>} props.weeks - The weeks along the x axis, in order.
+ * @param {Array<{ id: string|number, label: string, ranks: Array<number|null> }>} props.series - One line per
+ *   team; `ranks` holds the team's rank for each week in `weeks`.
+ * @param {string} [props.title] - Describes the chart for screen readers.
+ */
+const RankChart = ({ weeks, series, title = 'Rank by week' }) => {
+  if (weeks.length === 0 || series.length === 0) return null;
+
+  const teamCount = series.length;
+  const height = PADDING.top + PADDING.bottom + (teamCount - 1) * ROW_HEIGHT;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const x = (index) => PADDING.left + (weeks.length > 1 ? (index / (weeks.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (rank) => PADDING.top + (rank - 1) * ROW_HEIGHT;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-label={title}>
+        {/* Rank grid lines */}
+        {Array.from({ length: teamCount }, (_, i) => i + 1).map(rank => (
+          <g key={rank}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(rank)} y2={y(rank)} stroke="#374151" strokeWidth="1" />
+            <text x={PADDING.left - 8} y={y(rank) + 4} textAnchor="end" fontSize="11" fill="#9ca3af">{rank}</text>
+          </g>
+        ))}
+
+        {/* Week labels */}
+        {weeks.map((week, index) => (
+          <text key={week} x={x(index)} y={height - 8} textAnchor="middle" fontSize="11" fill="#9ca3af">W{week}</text>
+        ))}
+
+        {/* One line per team, broken where a week has no rank */}
+        {series.map((team, teamIndex) => {
+          const colour = LINE_COLOURS[teamIndex % LINE_COLOURS.length];
+          const points = team.ranks
+            .map((rank, index) => (rank ? { x: x(index), y: y(rank), rank, week: weeks[index] } : null));
+          const path = points
+            .map((point, index) => (point ? `${index > 0 && points[index - 1] ? 'L' : 'M'}${point.x},${point.y}` : ''))
+            .join(' ');
+
+          return (
+            <g key={team.id}>
+              <path d={path} fill="none" stroke={colour} strokeWidth="2.5" strokeLinejoin="round" />
+              {points.filter(Boolean).map(point => (
+                <circle key={point.week} cx={point.x} cy={point.y} r="3.5" fill={colour}>
+                  <title>{`${team.label}: rank ${point.rank} in week ${point.week}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Legend */}
+      <ul className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-textLight">
+        {series.map((team, teamIndex) => (
+          <li key={team.id} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: LINE_COLOURS[teamIndex % LINE_COLOURS.length] }} />
+            {team.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RankChart;
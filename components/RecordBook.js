@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+/**
+ * Formats where a single-game record happened, e.g. "2023 Wk 4 (Playoffs)".
+ * @param {object} entry - The record book entry.
+ * @returns {string} - The description.
+ */
+const describeWeek = (entry) => `${entry.season} Wk ${entry.week}${entry.playoffs ? ' (Playoffs)' : ''}`;
+
+// The scoring era of an entry, e.g. "Era 2", or "Era 1-2" for a streak that ran across a rule change
+const describeEra = (entry) => {
+  if (entry.era === null || entry.era === undefined) return null;
+  return entry.end_era !== undefined && entry.end_era !== entry.era ? `Era ${entry.era}-${entry.end_era}` : `Era ${entry.era}`;
+};
+
+// The record book lists: which records key they render and how each row is described
+const SECTIONS = [
+  {
+    key: 'highest_scores',
+    title: 'Highest Single-Week Scores',
+    value: (entry) => entry.points.toFixed(2),
+    detail: (entry) => `vs ${entry.opponent} (${entry.opponent_points.toFixed(2)}) · ${describeWeek(entry)}`,
+  },
+  {
+    key: 'lowest_scores',
+    title: 'Lowest Single-Week Scores',
+    value: (entry) => entry.points.toFixed(2),
+    detail: (entry) => `vs ${entry.opponent} (${entry.opponent_points.toFixed(2)}) · ${describeWeek(entry)}`,
+  },
+  {
+    key: 'biggest_blowouts',
+    title: 'Biggest Margins of Victory',
+    value: (entry) => `+${entry.margin.toFixed(2)}`,
+    detail: (entry) => `${entry.points.toFixed(2)} - ${entry.opponent_points.toFixed(2)} vs ${entry.opponent} · ${describeWeek(entry)}`,
+  },
+  {
+    key: 'closest_games',
+    title: 'Narrowest Wins',
+    value: (entry) => `+${entry.margin.toFixed(2)}`,
+    detail: (entry) => `${entry.points.toFixed(2)} - ${entry.opponent_points.toFixed(2)} vs ${entry.opponent} · ${describeWeek(entry)}`,
+  },
+  {
+    key: 'most_points_in_loss',
+    title: 'Most Points in a Loss',
+    value: (entry) => entry.points.toFixed(2),
+    detail: (entry) => `lost to ${entry.opponent} (${entry.opponent_points.toFixed(2)}) · ${describeWeek(entry)}`,
+  },
+  {
+    key: 'most_points_in_season',
+    title: 'Most Regular-Season Points',
+    value: (entry) => entry.points.toFixed(2),
+    detail: (entry) => `${entry.season} · ${entry.games} games`,
+  },
+  {
+    key: 'longest_win_streaks',
+    title: 'Longest Winning Streaks',
+    value: (entry) => `${entry.length} W`,
+    detail: (entry) => `${entry.start.season} Wk ${entry.start.week} to ${entry.end.season} Wk ${entry.end.week}${entry.active ? ' · active' : ''}`,
+  },
+  {
+    key: 'longest_loss_streaks',
+    title: 'Longest Losing Streaks',
+    value: (entry) => `${entry.length} L`,
+    detail: (entry) => `${entry.start.season} Wk ${entry.start.week} to ${entry.end.season} Wk ${entry.end.week}${entry.active ? ' · active' : ''}`,
+  },
+];
+
+/**
+ * RecordBook Component
+ * The league's all-time records, each attributed to a manager, season and week. When the league
+ * changed its scoring over the years, every record is marked with the scoring era it was set in.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID to load records for.
+ */
+const RecordBook = ({ leagueId }) => {
+  const [recordBook, setRecordBook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRecords = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=records`);
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        setRecordBook(await res.json());
+      } catch (e) {
+        console.error("Error fetching record book:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRecords();
+  }, [leagueId]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <p className="text-red-400">Could not load the record book: {error}</p>;
+  }
+
+  // Era badges only tell records apart when the scoring ever changed
+  const showEras = (recordBook.eras || []).length > 1;
+
+  return (
+    <>
+      {showEras && (
+        <div className="bg-cardBg p-4 rounded-lg shadow-lg mb-6 text-sm text-textLight">
+          <p className="font-semibold mb-1">Scoring eras</p>
+          <ul className="space-y-1">
+            {recordBook.eras.map(era => (
+              <li key={era.era}>
+                <span className="text-accent font-semibold mr-2">Era {era.era}</span>
+                {era.label} &middot; {era.summary}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="grid gap-6 md:grid-cols-2">
+        {SECTIONS.map(section => {
+          const entries = recordBook.records[section.key] || [];
+          return (
+            <div key={section.key} className="bg-cardBg p-6 rounded-lg shadow-lg">
+              <h2 className="text-xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">{section.title}</h2>
+              {entries.length === 0 ? (
+                <p className="text-textLight">No games played yet.</p>
+              ) : (
+                <ol className="space-y-2">
+                  {entries.map((entry, index) => (
+                    <li key={`${section.key}-${index}`} className="flex items-start gap-3">
+                      <span className="w-6 text-right text-gray-400">{index + 1}.</span>
+                      <div className="flex-1">
+                        <div className="flex justify-between">
+                          <span className="font-semibold"><ManagerLink leagueId={leagueId} managerId={entry.manager_id}>{entry.owner}</ManagerLink></span>
+                          <span className="font-bold text-accent">{section.value(entry)}</span>
+                        </div>
+                        <span className="block text-xs text-gray-400">
+                          {section.detail(entry)}
+                          {showEras && describeEra(entry) && <span className="ml-2 px-1 rounded bg-secondary text-textLight">{describeEra(entry)}</span>}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
+
+export default RecordBook;
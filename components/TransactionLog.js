@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ManagerLink from './ManagerLink';
+
+// Labels and badge colours per transaction type
+const TYPE_LABELS = {
+  trade: { label: 'Trade', colour: 'bg-accent' },
+  waiver: { label: 'Waiver', colour: 'bg-green-700' },
+  free_agent: { label: 'Free Agent', colour: 'bg-blue-700' },
+  commissioner: { label: 'Commissioner', colour: 'bg-gray-600' },
+};
+
+// Number of transactions shown before "Show more"
+const PAGE_SIZE = 50;
+
+/**
+ * Describes a draft pick, e.g. "2025 Rd 1 (User 1)".
+ * @param {object} pick - The normalized draft pick.
+ * @returns {string} - The description.
+ */
+const describePick = (pick) => `${pick.season} Rd ${pick.round} (${pick.original_owner})`;
+
+/**
+ * The loaded transaction log: summary stats, filters and the timeline.
+ */
+const TransactionTimeline = ({ log, leagueId }) => {
+  const [filters, setFilters] = useState({ season: '', managerId: '', type: '' });
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  if (log.transactions.length === 0) {
+    return <p className="text-textLight">No transactions have been made in this league yet.</p>;
+  }
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const filtered = log.transactions.filter(transaction =>
+    (!filters.season || transaction.season === filters.season)
+    && (!filters.type || transaction.type === filters.type)
+    && (!filters.managerId || transaction.moves.some(move => move.manager_id === filters.managerId)));
+
+  const { summary } = log;
+  const selectClassName = 'px-3 py-2 rounded-lg bg-inputBg text-textLight focus:outline-none focus:ring-2 focus:ring-accent';
+
+  return (
+    <div>
+      {/* Summary stats */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6 text-sm">
+        <div className="bg-secondary rounded-lg p-3">
+          <span className="block text-gray-400">Transactions</span>
+          <span className="text-lg font-semibold">{summary.total_transactions}</span>
+        </div>
+        <div className="bg-secondary rounded-lg p-3">
+          <span className="block text-gray-400">Trades</span>
+          <span className="text-lg font-semibold">{summary.trades}</span>
+        </div>
+        <div className="bg-secondary rounded-lg p-3">
+          <span className="block text-gray-400">Most Active Trader</span>
+          <span className="text-lg font-semibold">
+            {summary.most_active_trader ? `${summary.most_active_trader.owner} (${summary.most_active_trader.trades})` : '-'}
+          </span>
+        </div>
+        <div className="bg-secondary rounded-lg p-3">
+          <span className="block text-gray-400">Total FAAB Spent</span>
+          <span className="text-lg font-semibold">${summary.total_faab_spent}</span>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <select value={filters.season} onChange={(e) => updateFilter('season', e.target.value)} className={selectClassName}>
+          <option value="">All seasons</option>
+          {log.seasons.map(season => <option key={season} value={season}>{season}</option>)}
+        </select>
+        <select value={filters.managerId} onChange={(e) => updateFilter('managerId', e.target.value)} className={selectClassName}>
+          <option value="">All managers</option>
+          {log.managers.map(manager => <option key={manager.manager_id} value={manager.manager_id}>{manager.name}</option>)}
+        </select>
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} className={selectClassName}>
+          <option value="">All types</option>
+          {Object.entries(TYPE_LABELS).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+      </div>
+
+      {/* Timeline */}
+      {filtered.length === 0 ? (
+        <p className="text-textLight">No transactions match these filters.</p>
+      ) : (
+        <ul className="space-y-3">
+          {filtered.slice(0, visibleCount).map(transaction => {
+            const type = TYPE_LABELS[transaction.type] || { label: transaction.type, colour: 'bg-gray-600' };
+            return (
+              <li key={transaction.transaction_id} className="border border-secondary rounded-lg p-3">
+                <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                  <span className={`px-2 py-0.5 rounded text-white font-semibold ${type.colour}`}>{type.label}</span>
+                  <span className="text-gray-400">{transaction.season} &middot; Week {transaction.week}</span>
+                  {transaction.created && <span className="text-gray-400">&middot; {new Date(transaction.created).toLocaleDateString()}</span>}
+                  {transaction.waiver_bid > 0 && <span className="text-green-400">${transaction.waiver_bid} bid</span>}
+                </div>
+                <div className="grid gap-2 sm:grid-cols-2">
+                  {transaction.moves.map(move => (
+                    <div key={move.roster_id} className="text-sm">
+                      <span className="font-semibold text-accent"><ManagerLink leagueId={leagueId} managerId={move.manager_id}>{move.owner}</ManagerLink></span>
+                      <ul className="ml-2">
+                        {move.adds.map(player => <li key={`add-${player.player_id}`} className="text-green-400">+ {player.name}{player.position ? ` (${player.position})` : ''}</li>)}
+                        {move.drops.map(player => <li key={`drop-${player.player_id}`} className="text-red-400">- {player.name}{player.position ? ` (${player.position})` : ''}</li>)}
+                        {move.picks_received.map(pick => <li key={`pick-in-${describePick(pick)}`} className="text-green-400">+ {describePick(pick)}</li>)}
+                        {move.picks_sent.map(pick => <li key={`pick-out-${describePick(pick)}`} className="text-red-400">- {describePick(pick)}</li>)}
+                        {move.faab_received > 0 && <li className="text-green-400">+ ${move.faab_received} FAAB</li>}
+                        {move.faab_sent > 0 && <li className="text-red-400">- ${move.faab_sent} FAAB</li>}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {filtered.length > visibleCount && (
+        <div className="mt-4 text-center">
+          <button type="button" onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)} className="px-4 py-2 rounded-lg bg-accent text-white font-semibold hover:opacity-90 transition-opacity duration-200">
+            Show more ({filtered.length - visibleCount} left)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * TransactionLog Component
+ * A filterable timeline of every trade, waiver claim and free-agent move in the league's
+ * history, with summary stats. Loaded on demand because naming the players needs Sleeper's
+ * player dictionary.
+ *
+ * @param {object} props
+ * @param {string} props.leagueId - The Sleeper league ID to load transactions for.
+ */
+const TransactionLog = ({ leagueId }) => {
+  const [log, setLog] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (log || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/league-data?leagueId=${leagueId}&dataType=transactions`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      setLog(await res.json());
+    } catch (e) {
+      console.error("Error fetching transactions:", e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <button type="button" onClick={toggle} className="text-accent hover:underline">
+        {open ? 'Hide transactions' : 'Show transactions'}
+      </button>
+
+      {open && (
+        <div className="mt-3">
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Could not load transactions: {error}</p>
+          ) : log && (
+            <TransactionTimeline log={log} leagueId={leagueId} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionLog;
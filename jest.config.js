@@ -0,0 +1,16 @@
+// jest.config.js
+
+const nextJest = require('next/jest');
+
+// Load next.config.js and .env files and compile the tests with Next's SWC setup
+const createJestConfig = nextJest({ dir: './' });
+
+/**
+ * Tests run in Node by default; component and page tests opt into a browser-like
+ * environment with a `@jest-environment jsdom` docblock.
+ */
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+  setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
+});
@@ -0,0 +1,25 @@
+// jest.setup.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import '@testing-library/jest-dom';
+
+// Keep the response cache of each test file in its own scratch directory
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sleeper-cache-test-'));
+process.env.SLEEPER_CACHE_DIR = cacheDir;
+
+afterAll(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// The aggregators log every Sleeper request; keep test output to failures
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
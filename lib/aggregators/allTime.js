@@ -0,0 +1,97 @@
+// lib/aggregators/allTime.js
+
+import { roundPoints } from '../format';
+import { fetchLineageSeasons } from './history';
+import { describeScoringEras, findScoringEra } from './rules';
+
+/**
+ * Adds up every season of the league's history into career totals per manager.
+ * Built on fetchLineageSeasons: each season's ranked standings give the record, and its
+ * history entry the titles, playoff appearances and final placements. Seasons that could not
+ * be loaded or have not been drafted yet are left out. Each manager's
+ * points for are also split by scoring era (see describeScoringEras), since points scored under
+ * different rules do not compare.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<Array<import('./types').CareerRow>>} - A promise that resolves to one career row per manager, best win percentage first.
+ */
+export async function fetchAllTimeLeaderboard(client, leagueId) {
+  // Seasons that failed to load are reported with the league history; the totals skip them
+  const { leagues, seasons } = await fetchLineageSeasons(client, leagueId);
+  const playedSeasons = seasons.filter(({ league }) => league.status !== 'pre_draft' && league.status !== 'drafting');
+  const eras = describeScoringEras(leagues);
+
+  const careers = new Map();
+  const careerFor = (standing) => {
+    if (!careers.has(standing.manager_id)) {
+      // History is ordered newest first, so the first entry carries the current name
+      careers.set(standing.manager_id, {
+        manager_id: standing.manager_id,
+        name: standing.owner,
+        avatar: standing.avatar,
+        seasons: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        win_pct: 0,
+        points_for: 0,
+        points_against: 0,
+        playoff_appearances: 0,
+        titles: 0,
+        runner_ups: 0,
+        last_places: 0,
+        eras: new Map(),
+      });
+    }
+    return careers.get(standing.manager_id);
+  };
+
+  playedSeasons.forEach(({ league, rosters, standings: seasonStandings, history: entry }) => {
+    const standings = seasonStandings.filter(standing => standing.manager_id);
+    const isComplete = entry.status === 'complete';
+
+    standings.forEach(standing => {
+      const career = careerFor(standing);
+      career.seasons += 1;
+      career.wins += standing.wins;
+      career.losses += standing.losses;
+      career.ties += standing.ties;
+      career.points_for += standing.total_points;
+      career.points_against += standing.points_against;
+      if (entry.playoff_manager_ids.includes(standing.manager_id)) career.playoff_appearances += 1;
+      if (isComplete && entry.champion_manager_id === standing.manager_id) career.titles += 1;
+      if (isComplete && entry.runner_up_manager_id === standing.manager_id) career.runner_ups += 1;
+
+      const era = eras[findScoringEra(eras, entry.season) - 1];
+      if (era) {
+        const eraTotals = career.eras.get(era.era) || { era: era.era, label: era.label, seasons: 0, points_for: 0 };
+        eraTotals.seasons += 1;
+        eraTotals.points_for += standing.total_points;
+        career.eras.set(era.era, eraTotals);
+      }
+    });
+
+    // Last place is the final placement at the bottom of the league, after the consolation games
+    const teams = league.total_rosters || rosters.length;
+    const lastPlace = isComplete && entry.placements.find(placement => placement.place === teams);
+    if (lastPlace?.manager_id && careers.has(lastPlace.manager_id)) {
+      careers.get(lastPlace.manager_id).last_places += 1;
+    }
+  });
+
+  const leaderboard = Array.from(careers.values()).map(career => {
+    const games = career.wins + career.losses + career.ties;
+    return {
+      ...career,
+      win_pct: games > 0 ? Math.round(((career.wins + career.ties / 2) / games) * 1000) / 1000 : 0,
+      points_for: roundPoints(career.points_for),
+      points_against: roundPoints(career.points_against),
+      eras: Array.from(career.eras.values())
+        .sort((a, b) => a.era - b.era)
+        .map(era => ({ ...era, points_for: roundPoints(era.points_for) })),
+    };
+  });
+
+  leaderboard.sort((a, b) => (b.win_pct - a.win_pct) || (b.points_for - a.points_for));
+  return leaderboard;
+}
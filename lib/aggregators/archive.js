@@ -0,0 +1,108 @@
+// lib/aggregators/archive.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { fetchLineageSeasons, registerSeasonManagers } from './history';
+import { fetchWeeklyMatchups } from './season';
+
+// Identifies archive files; bump ARCHIVE_VERSION whenever the shape of an archive changes
+export const ARCHIVE_FORMAT = 'sleeper-league-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Builds a permanent backup of a league's whole lineage. Next to the aggregated history and
+ * standings, every season keeps the raw Sleeper data they were built from (league, users,
+ * rosters, brackets and weekly matchups), so the archive stays useful after Sleeper drops
+ * old seasons.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').LeagueArchive>} - A promise that resolves to the league's archive.
+ */
+export async function fetchLeagueArchive(client, leagueId) {
+  const { leagues, seasons, failed_seasons } = await fetchLineageSeasons(client, leagueId);
+
+  const { registry } = registerSeasonManagers(seasons);
+
+  const archivedSeasons = await Promise.all(seasons.map(async ({ league, rosters, users, standings, history }) => {
+    const [winnersBracket, losersBracket, weeklyMatchups] = await Promise.all([
+      client.getBracket(league.league_id, 'winners_bracket'),
+      client.getBracket(league.league_id, 'losers_bracket'),
+      fetchWeeklyMatchups(client, league),
+    ]);
+
+    return {
+      season: league.season,
+      league_id: league.league_id,
+      complete: league.status === 'complete',
+      history,
+      standings,
+      sleeper: {
+        league,
+        users,
+        rosters,
+        winners_bracket: winnersBracket,
+        losers_bracket: losersBracket,
+        matchups: weeklyMatchups,
+      },
+    };
+  }));
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    league_id: leagueId,
+    name: leagues[0].name,
+    seasons: archivedSeasons,
+    managers: registry.list(),
+    failed_seasons,
+  };
+}
+
+/**
+ * Flattens an archive's weekly matchups into one row per team and week, paired with the
+ * opponent that shared its `matchup_id`. Teams without a matchup (e.g. eliminated teams in the
+ * playoffs) and unplayed weeks where both teams scored zero are left out.
+ * @param {import('./types').LeagueArchive} archive - The archive from fetchLeagueArchive.
+ * @returns {Array<object>} - Rows of { season, week, playoffs, matchup_id, roster_id, manager_id,
+ *   owner, team_name, points, opponent, opponent_points, result }, most recent season first.
+ */
+export function listArchivedMatchups(archive) {
+  const rows = [];
+
+  archive.seasons.forEach(({ season, sleeper }) => {
+    const directory = buildUserDirectory(sleeper.users);
+    const playoffWeekStart = sleeper.league.settings?.playoff_week_start || Infinity;
+    const managerFor = (rosterId) => {
+      const roster = sleeper.rosters.find(r => r.roster_id === rosterId);
+      if (!roster) return { manager_id: null, owner: 'Unknown Owner', team_name: null };
+      const { manager_id, owner, team_name } = describeRosterManager(roster, directory);
+      return { manager_id, owner, team_name };
+    };
+
+    sleeper.matchups.forEach(({ week, matchups }) => {
+      matchups.forEach(matchup => {
+        if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+        const opponent = matchups.find(other => other.matchup_id === matchup.matchup_id && other.roster_id !== matchup.roster_id);
+        const points = matchup.custom_points ?? matchup.points ?? 0;
+        const opponentPoints = opponent ? opponent.custom_points ?? opponent.points ?? 0 : null;
+        if (points === 0 && !opponentPoints) return;
+
+        const opponentManager = opponent ? managerFor(opponent.roster_id) : null;
+        rows.push({
+          season,
+          week,
+          playoffs: week >= playoffWeekStart,
+          matchup_id: matchup.matchup_id,
+          roster_id: matchup.roster_id,
+          ...managerFor(matchup.roster_id),
+          points,
+          opponent: opponentManager ? opponentManager.owner : null,
+          opponent_points: opponentPoints,
+          result: opponentPoints === null ? null : points > opponentPoints ? 'W' : points < opponentPoints ? 'L' : 'T',
+        });
+      });
+    });
+  });
+
+  return rows;
+}
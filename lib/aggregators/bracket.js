@@ -0,0 +1,145 @@
+// lib/aggregators/bracket.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { ordinal } from '../format';
+import { fetchRosterPointsForWeeks, fetchSeason } from './season';
+import { buildStandingsRows, rankStandings } from './standings';
+import { determineSeasonResults, getPlayoffRoundWeeks } from './history';
+
+/**
+ * Lays out a season's playoffs from Sleeper's winners and losers brackets: every round's
+ * games with seeds and scores, the teams that had a bye, and the final placements.
+ *
+ * Sleeper describes each bracket game with `r` (round), `m` (match ID), `t1`/`t2` (rosters),
+ * `t1_from`/`t2_from` (`{ w: m }` or `{ l: m }`: the winner or loser of an earlier match),
+ * `w`/`l` (winner and loser once decided) and `p` (the place the game decides, if any).
+ * The winners bracket holds the playoff teams, including its consolation games (`p: 3`,
+ * `p: 5`); the losers bracket holds the teams that missed the playoffs (the toilet bowl).
+ * Seeds are the regular-season standings.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league (one season).
+ * @returns {Promise<import('./types').PlayoffBracket>} - A promise that resolves to the season's bracket.
+ */
+export async function fetchPlayoffBracket(client, leagueId) {
+  const { league, rosters, users } = await fetchSeason(client, leagueId);
+  const [winnersBracket, losersBracket] = await Promise.all([
+    client.getBracket(leagueId, 'winners_bracket'),
+    client.getBracket(leagueId, 'losers_bracket'),
+  ]);
+
+  const directory = buildUserDirectory(users);
+  const standings = await rankStandings(client, league, buildStandingsRows(rosters, directory));
+  const seeds = new Map(standings.map((row, index) => [row.roster_id, index + 1]));
+  const managers = new Map(rosters.map(roster => [roster.roster_id, describeRosterManager(roster, directory)]));
+
+  // Both brackets play their rounds over the same weeks
+  const totalRounds = Math.max(0, ...winnersBracket.map(game => game.r));
+  const rounds = Array.from({ length: Math.max(totalRounds, ...losersBracket.map(game => game.r)) }, (_, i) => i + 1);
+  const roundWeeks = new Map(rounds.map(round => [round, getPlayoffRoundWeeks(league, round, totalRounds)]));
+  const roundPoints = new Map(await Promise.all(rounds.map(async round => {
+    const weeks = roundWeeks.get(round);
+    return [round, weeks.length > 0 ? await fetchRosterPointsForWeeks(client, leagueId, weeks) : new Map()];
+  })));
+
+  const team = (rosterId) => {
+    const manager = managers.get(rosterId);
+    return {
+      roster_id: rosterId,
+      seed: seeds.get(rosterId) ?? null,
+      manager_id: manager?.manager_id ?? null,
+      owner: manager?.owner ?? 'Unknown Owner',
+      team_name: manager?.team_name ?? null,
+    };
+  };
+  const context = { team, roundPoints, roundWeeks };
+
+  const results = await determineSeasonResults(client, league, winnersBracket, losersBracket, standings[0]?.roster_id ?? null);
+
+  return {
+    league_id: league.league_id,
+    season: league.season,
+    status: league.status,
+    playoff_teams: league.settings?.playoff_teams ?? null,
+    winners: describeBracket(winnersBracket, context, { isWinners: true, placeOffset: 0 }),
+    // Losers-bracket places continue after the playoff teams, as in determineSeasonResults
+    losers: describeBracket(losersBracket, context, { isWinners: false, placeOffset: league.settings?.playoff_teams ?? 0 }),
+    placements: results.placements.map(placement => ({ place: placement.place, ...team(placement.roster_id) })),
+  };
+}
+
+/**
+ * Names the game a bracket match is: a placement game, or a round of the title path.
+ * Placement games are named after the place their winner finishes in, the same place
+ * determineSeasonResults gives them.
+ * @param {object} game - The Sleeper bracket game.
+ * @param {number|null} place - The place the game decides, or null if it decides none.
+ * @param {number} roundsLeft - Rounds after this one in the bracket.
+ * @param {boolean} isWinners - Whether the game is in the winners bracket.
+ * @returns {string} - E.g. `Championship`, `3rd place game` or `Semifinal`.
+ */
+function labelGame(game, place, roundsLeft, isWinners) {
+  if (isWinners && place === 1) return 'Championship';
+  if (place) return `${ordinal(place)} place game`;
+  // Consolation games feed on losers; only the title path is named after its round
+  const fromLoser = [game.t1_from, game.t2_from].some(from => from && from.l !== undefined);
+  if (!isWinners || fromLoser) return 'Consolation';
+  if (roundsLeft === 0) return 'Final';
+  if (roundsLeft === 1) return 'Semifinal';
+  if (roundsLeft === 2) return 'Quarterfinal';
+  return `Round ${game.r}`;
+}
+
+/**
+ * Turns one of Sleeper's brackets into rounds of games with both sides described.
+ * A team that first appears after round 1 without coming from an earlier match had a bye.
+ * @param {Array<object>} bracket - Sleeper's bracket.
+ * @param {object} context - { team(rosterId), roundPoints, roundWeeks } from fetchPlayoffBracket.
+ * @param {object} options
+ * @param {boolean} options.isWinners - Whether this is the winners bracket.
+ * @param {number} options.placeOffset - Added to the bracket's `p` to get the place a game decides.
+ * @returns {object} - { rounds: [{ round, weeks, games }], byes: [team & { round }] }.
+ */
+export function describeBracket(bracket, { team, roundPoints, roundWeeks }, options) {
+  const lastRound = Math.max(0, ...bracket.map(game => game.r));
+
+  const side = (game, key) => {
+    const rosterId = game[key] ?? null;
+    const from = game[`${key}_from`] || null;
+    const points = rosterId !== null ? roundPoints.get(game.r)?.get(rosterId) ?? null : null;
+    return {
+      ...(rosterId !== null ? team(rosterId) : { roster_id: null, seed: null, manager_id: null, owner: null, team_name: null }),
+      // Unplayed rounds already have matchups, at zero points
+      points: points === 0 && !game.w ? null : points,
+      from: from ? { match: from.w ?? from.l, result: from.w !== undefined ? 'winner' : 'loser' } : null,
+    };
+  };
+
+  const rounds = Array.from({ length: lastRound }, (_, i) => i + 1).map(round => ({
+    round,
+    weeks: roundWeeks.get(round) || [],
+    games: bracket
+      .filter(game => game.r === round)
+      .sort((a, b) => a.m - b.m)
+      .map(game => {
+        const place = game.p ? game.p + options.placeOffset : null;
+        return {
+          match: game.m,
+          label: labelGame(game, place, lastRound - round, options.isWinners),
+          place,
+          teams: [side(game, 't1'), side(game, 't2')],
+          winner_roster_id: game.w ?? null,
+          loser_roster_id: game.l ?? null,
+        };
+      }),
+  }));
+
+  const firstRoundTeams = new Set(bracket.filter(game => game.r === 1).flatMap(game => [game.t1, game.t2]));
+  const byes = bracket
+    .filter(game => game.r > 1)
+    .flatMap(game => ['t1', 't2']
+      .filter(key => typeof game[key] === 'number' && !game[`${key}_from`] && !firstRoundTeams.has(game[key]))
+      .map(key => ({ ...team(game[key]), round: game.r })))
+    .sort((a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity));
+
+  return { rounds, byes };
+}
@@ -0,0 +1,77 @@
+// lib/aggregators/drafts.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { getPlayerDirectory } from '../players';
+import { fetchSeason } from './season';
+
+/**
+ * Fetches a league's drafts with every pick resolved to a player and a manager, laid out
+ * for a draft board of rounds by draft slot.
+ *
+ * A pick is marked `traded` when the roster that made it is not the roster that owned the
+ * slot, and `is_keeper` when it was used on a kept player.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league (one season).
+ * @returns {Promise<import('./types').DraftBoards>} - A promise that resolves to { league_id, season, drafts }.
+ */
+export async function fetchDraftBoards(client, leagueId) {
+  const [{ league, rosters, users }, draftList] = await Promise.all([
+    fetchSeason(client, leagueId),
+    client.getDrafts(leagueId)
+  ]);
+  const directory = buildUserDirectory(users);
+  const { players } = await getPlayerDirectory(client);
+
+  const rosterManagers = new Map(rosters.map(roster => [roster.roster_id, describeRosterManager(roster, directory)]));
+  const managerFor = (rosterId) => {
+    const manager = rosterManagers.get(rosterId);
+    return manager ? { manager_id: manager.manager_id, owner: manager.owner } : { manager_id: null, owner: 'Unknown Owner' };
+  };
+
+  const drafts = await Promise.all(draftList.map(async (draftSummary) => {
+    const draftId = draftSummary.draft_id;
+    const [draft, picks] = await Promise.all([
+      client.getDraft(draftId),
+      client.getDraftPicks(draftId)
+    ]);
+
+    // `slot_to_roster_id` tells us who originally owned each column of the board
+    const slotToRosterId = draft.slot_to_roster_id || {};
+    const slots = Array.from({ length: draft.settings?.teams || Object.keys(slotToRosterId).length }, (_, i) => {
+      const rosterId = slotToRosterId[i + 1] ?? null;
+      return { slot: i + 1, roster_id: rosterId, ...managerFor(rosterId) };
+    });
+
+    return {
+      draft_id: draftId,
+      type: draft.type,
+      status: draft.status,
+      season: draft.season,
+      rounds: draft.settings?.rounds || Math.max(0, ...(picks || []).map(pick => pick.round)),
+      slots,
+      picks: (picks || []).map(pick => {
+        const player = players[pick.player_id];
+        const slotRosterId = slotToRosterId[pick.draft_slot] ?? null;
+        return {
+          round: pick.round,
+          pick_no: pick.pick_no,
+          draft_slot: pick.draft_slot,
+          roster_id: pick.roster_id,
+          ...managerFor(pick.roster_id),
+          original_roster_id: slotRosterId,
+          original_owner: slotRosterId !== null ? managerFor(slotRosterId).owner : null,
+          traded: slotRosterId !== null && pick.roster_id !== slotRosterId,
+          is_keeper: Boolean(pick.is_keeper),
+          player_id: pick.player_id,
+          // Fall back to the pick's own metadata for players missing from the cached dictionary
+          player_name: player?.name || [pick.metadata?.first_name, pick.metadata?.last_name].filter(Boolean).join(' ') || pick.player_id,
+          position: player?.position || pick.metadata?.position || null,
+          // The pick's metadata holds the player's NFL team at draft time
+          team: pick.metadata?.team || player?.team || null,
+        };
+      }),
+    };
+  }));
+
+  return { league_id: leagueId, season: league.season, drafts };
+}
@@ -0,0 +1,56 @@
+// lib/aggregators/headToHead.js
+
+import { roundPoints } from '../format';
+import { fetchLineageGames } from './lineage';
+
+/**
+ * Aggregates every game of every season in the league's history into all-time
+ * head-to-head records between managers.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').HeadToHead>} - A promise that resolves to { seasons, managers, matrix, games }, where
+ *   `matrix[managerId][opponentId]` holds { wins, losses, ties, games, points_for, points_against, biggest_win }.
+ */
+export async function fetchHeadToHead(client, leagueId) {
+  const { leagues, registry, games } = await fetchLineageGames(client, leagueId);
+
+  const emptyRecord = () => ({ wins: 0, losses: 0, ties: 0, games: 0, points_for: 0, points_against: 0, biggest_win: null });
+  const matrix = {};
+  const recordFor = (managerId, opponentId) => {
+    if (!matrix[managerId]) matrix[managerId] = {};
+    if (!matrix[managerId][opponentId]) matrix[managerId][opponentId] = emptyRecord();
+    return matrix[managerId][opponentId];
+  };
+
+  games.forEach(game => {
+    const [a, b] = game.teams;
+    [[a, b], [b, a]].forEach(([team, opponent]) => {
+      const record = recordFor(team.manager_id, opponent.manager_id);
+      const margin = team.points - opponent.points;
+      record.games += 1;
+      record.points_for += team.points;
+      record.points_against += opponent.points;
+      if (margin > 0) record.wins += 1;
+      else if (margin < 0) record.losses += 1;
+      else record.ties += 1;
+
+      if (margin > 0 && (!record.biggest_win || margin > record.biggest_win.margin)) {
+        record.biggest_win = { season: game.season, week: game.week, points_for: team.points, points_against: opponent.points, margin };
+      }
+    });
+  });
+
+  // Round the accumulated points to avoid floating point noise in the response
+  Object.values(matrix).forEach(opponents => Object.values(opponents).forEach(record => {
+    record.points_for = roundPoints(record.points_for);
+    record.points_against = roundPoints(record.points_against);
+    if (record.biggest_win) record.biggest_win.margin = roundPoints(record.biggest_win.margin);
+  }));
+
+  return {
+    seasons: leagues.map(league => league.season),
+    managers: registry.list(),
+    matrix,
+    games,
+  };
+}
@@ -0,0 +1,252 @@
+// lib/aggregators/history.js
+
+import { buildUserDirectory, createManagerRegistry, describeRosterManager } from '../managers';
+import { fetchRosterPointsForWeeks } from './season';
+import { walkLeagueLineage } from './lineage';
+import { buildStandingsRows, rankStandings } from './standings';
+
+/**
+ * Walks the league's history to determine champions for all available seasons. Seasons are
+ * built in parallel; one that fails is reported in `failed_seasons` instead of dropping the
+ * rest of the history. Only the most recent league has to load.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').LeagueHistory>} - A promise that resolves to { seasons, failed_seasons }, most recent season first.
+ */
+export async function fetchLeagueHistory(client, leagueId) {
+  const { seasons, failed_seasons } = await fetchLineageSeasons(client, leagueId);
+  return { seasons: seasons.map(season => season.history), failed_seasons };
+}
+
+/**
+ * Loads every season of the league's history: its league, rosters, users, ranked standings
+ * and history entry. This is what fetchLeagueHistory and the league snapshot are built from.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<object>} - A promise that resolves to { leagues, seasons, failed_seasons }: every
+ *   league of the lineage and the seasons that loaded ({ league, rosters, users, standings, history }),
+ *   most recent season first, and the seasons that did not.
+ */
+export async function fetchLineageSeasons(client, leagueId) {
+  const { leagues, failure } = await walkLeagueLineage(client, leagueId);
+  const results = await Promise.allSettled(leagues.map(league => fetchSeasonHistory(client, league)));
+
+  const seasons = [];
+  const failedSeasons = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      seasons.push(result.value);
+      return;
+    }
+    const league = leagues[index];
+    console.error(`Error fetching historical league data for ${league.league_id}:`, result.reason);
+    failedSeasons.push(describeFailure(league.league_id, league.season, result.reason));
+  });
+
+  // The chain broke here, so nothing older than this link is known
+  if (failure) {
+    console.error(`Error walking the league history at ${failure.league_id}:`, failure.error);
+    failedSeasons.push(describeFailure(failure.league_id, null, failure.error));
+  }
+
+  // Without a single season there is nothing to show, so fail like the first season did
+  if (seasons.length === 0 && results.length > 0) {
+    throw results[0].reason;
+  }
+
+  // Sort history by season in descending order (most recent first)
+  seasons.sort((a, b) => b.league.season - a.league.season);
+  return { leagues, seasons, failed_seasons: failedSeasons };
+}
+
+/**
+ * Registers the managers of the seasons loaded by fetchLineageSeasons. Seasons come newest
+ * first, so the registry keeps each manager's current name.
+ * @param {Array<object>} seasons - The `seasons` from fetchLineageSeasons.
+ * @returns {object} - { registry, rosterManagers }: the registry from createManagerRegistry, and per
+ *   season (in the same order) the map of roster ID to manager.
+ */
+export function registerSeasonManagers(seasons) {
+  const registry = createManagerRegistry();
+  const rosterManagers = seasons.map(({ league, rosters, users }) => registry.addSeason(league.season, users, rosters));
+  return { registry, rosterManagers };
+}
+
+/**
+ * Describes a season that could not be loaded.
+ * @param {string} leagueId - The ID of the season's league.
+ * @param {string|null} season - The season, or null if its league could not be fetched.
+ * @param {Error} error - What went wrong.
+ * @returns {object} - { league_id, season, status, error }.
+ */
+export function describeFailure(leagueId, season, error) {
+  return { league_id: leagueId, season, status: error.status ?? null, error: error.message };
+}
+
+/**
+ * Builds one season's history entry: its champion, runner-up, third place, regular-season
+ * leader, championship score and final placements.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {object} league - The league object of the season.
+ * @returns {Promise<object>} - A promise that resolves to { league, rosters, users, standings, history },
+ *   `history` being the season's entry.
+ */
+async function fetchSeasonHistory(client, league) {
+  const leagueId = league.league_id;
+  const [rosters, users] = await Promise.all([
+    client.getRosters(leagueId),
+    client.getUsers(leagueId)
+  ]);
+
+  // Map user IDs to their stable manager identities
+  const directory = buildUserDirectory(users);
+
+  // Fetch the playoff brackets for the current league
+  const [winnersBracket, losersBracket] = await Promise.all([
+    client.getBracket(leagueId, 'winners_bracket'),
+    client.getBracket(leagueId, 'losers_bracket')
+  ]);
+
+  // The regular-season leader is the top of the season's standings
+  const standings = await rankStandings(client, league, buildStandingsRows(rosters, directory));
+  const regularSeasonLeaderRosterId = standings.length > 0 ? standings[0].roster_id : null;
+
+  const results = await determineSeasonResults(client, league, winnersBracket, losersBracket, regularSeasonLeaderRosterId);
+  const managerFor = (rosterId) => {
+    if (rosterId === null || rosterId === undefined) return { manager_id: null, owner: null };
+    const roster = rosters.find(r => r.roster_id === rosterId);
+    return roster ? describeRosterManager(roster, directory) : { manager_id: null, owner: 'Unknown Owner' };
+  };
+  const champion = managerFor(results.championRosterId);
+  const runnerUp = managerFor(results.runnerUpRosterId);
+  const thirdPlace = managerFor(results.thirdPlaceRosterId);
+  const regularSeasonLeader = managerFor(results.regularSeasonLeaderRosterId);
+
+  const history = {
+    season: league.season,
+    league_id: league.league_id,
+    name: league.name,
+    status: league.status,
+    total_rosters: league.total_rosters,
+    champion_source: results.source,
+    champion: champion.owner,
+    champion_manager_id: champion.manager_id,
+    runner_up: runnerUp.owner,
+    runner_up_manager_id: runnerUp.manager_id,
+    third_place: thirdPlace.owner,
+    third_place_manager_id: thirdPlace.manager_id,
+    regular_season_leader: regularSeasonLeader.owner,
+    regular_season_leader_manager_id: regularSeasonLeader.manager_id,
+    championship_score: results.championshipScore,
+    placements: results.placements.map(p => {
+      const manager = managerFor(p.roster_id);
+      return { ...p, manager_id: manager.manager_id, owner: manager.owner };
+    }),
+    playoff_manager_ids: results.playoffRosterIds.map(rosterId => managerFor(rosterId).manager_id).filter(Boolean),
+  };
+  return { league, rosters, users, standings, history };
+}
+
+/**
+ * Works out which NFL weeks a playoff round was played over.
+ * Sleeper's `playoff_round_type` is 0 for one week per round, 1 for a two-week
+ * championship round and 2 for two weeks per round.
+ * @param {object} league - The league object.
+ * @param {number} round - The bracket round (`r`), starting at 1.
+ * @param {number} totalRounds - The number of rounds in the winners bracket.
+ * @returns {Array<number>} - The weeks the round spans.
+ */
+export function getPlayoffRoundWeeks(league, round, totalRounds) {
+  const startWeek = league.settings?.playoff_week_start;
+  if (!startWeek) return [];
+
+  const roundType = league.settings?.playoff_round_type ?? 0;
+  const weeksPerRound = roundType === 2 ? 2 : 1;
+  const firstWeek = startWeek + (round - 1) * weeksPerRound;
+  const isTwoWeekRound = roundType === 2 || (roundType === 1 && round === totalRounds);
+
+  return isTwoWeekRound ? [firstWeek, firstWeek + 1] : [firstWeek];
+}
+
+/**
+ * Determines a season's champion, runner-up, third place and final placements from
+ * Sleeper's winners and losers brackets.
+ *
+ * Brackets mark placement games with `p`: the winner of a winners-bracket `p: 1` game is
+ * the champion and its loser the runner-up, `p: 3` decides third place, and so on.
+ * Losers-bracket placements continue after the playoff teams.
+ *
+ * Fallbacks:
+ * - Seasons that are not `complete` report `source: 'in_progress'` and no champion.
+ * - Completed seasons without a decided bracket report the regular-season leader as
+ *   champion with `source: 'regular_season'`.
+ *
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {object} league - The league object.
+ * @param {Array<object>} winnersBracket - The league's winners bracket.
+ * @param {Array<object>} losersBracket - The league's losers bracket.
+ * @param {number|null} regularSeasonLeaderRosterId - The roster at the top of the regular-season standings.
+ * @returns {Promise<object>} - A promise that resolves to the season's results, keyed by roster ID.
+ */
+export async function determineSeasonResults(client, league, winnersBracket, losersBracket, regularSeasonLeaderRosterId) {
+  const results = {
+    source: 'bracket',
+    championRosterId: null,
+    runnerUpRosterId: null,
+    thirdPlaceRosterId: null,
+    regularSeasonLeaderRosterId,
+    championshipScore: null,
+    placements: [],
+    // Teams seeded into the winners bracket (later rounds reference earlier games instead of rosters)
+    playoffRosterIds: Array.from(new Set(winnersBracket.flatMap(game => [game.t1, game.t2]).filter(id => typeof id === 'number'))),
+  };
+
+  if (league.status !== 'complete') {
+    results.source = 'in_progress';
+    return results;
+  }
+
+  const championship = winnersBracket.find(game => game.p === 1);
+  if (!championship || !championship.w) {
+    console.warn(`No decided playoff bracket for league ${league.league_id}, season ${league.season}. Falling back to the regular-season leader.`);
+    results.source = 'regular_season';
+    results.championRosterId = results.regularSeasonLeaderRosterId;
+    return results;
+  }
+
+  const thirdPlaceGame = winnersBracket.find(game => game.p === 3);
+  results.championRosterId = championship.w;
+  results.runnerUpRosterId = championship.l;
+  results.thirdPlaceRosterId = thirdPlaceGame ? thirdPlaceGame.w : null;
+
+  // Placement games from both brackets, losers-bracket places following the playoff teams
+  const playoffTeams = league.settings?.playoff_teams ?? 0;
+  const placementGames = [
+    ...winnersBracket.filter(game => game.p).map(game => ({ game, offset: 0 })),
+    ...losersBracket.filter(game => game.p).map(game => ({ game, offset: playoffTeams })),
+  ];
+  placementGames.forEach(({ game, offset }) => {
+    if (game.w) results.placements.push({ place: game.p + offset, roster_id: game.w });
+    if (game.l) results.placements.push({ place: game.p + offset + 1, roster_id: game.l });
+  });
+  results.placements.sort((a, b) => a.place - b.place);
+
+  // Report the final score of the championship game
+  const totalRounds = Math.max(...winnersBracket.map(game => game.r));
+  const weeks = getPlayoffRoundWeeks(league, championship.r, totalRounds);
+  if (weeks.length > 0) {
+    try {
+      const pointsByRoster = await fetchRosterPointsForWeeks(client, league.league_id, weeks);
+      results.championshipScore = {
+        weeks,
+        winner_points: pointsByRoster.get(championship.w) ?? null,
+        loser_points: pointsByRoster.get(championship.l) ?? null,
+      };
+    } catch (error) {
+      // The champion is still known, so a missing score should not fail the season
+      console.error(`Could not fetch championship score for league ${league.league_id}:`, error);
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,89 @@
+// lib/aggregators/lineage.js
+
+import { createManagerRegistry } from '../managers';
+import { fetchSeasonGames } from './season';
+
+/**
+ * Walks the `previous_league_id` chain and returns every season's league object.
+ * The most recent league must exist; older links in the chain may have been removed, which
+ * simply ends the chain. Any other failure further back is returned rather than thrown, so
+ * callers can keep the seasons found so far.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<object>} - A promise that resolves to { leagues, failure }: the leagues, most
+ *   recent season first, and { league_id, error } for the link that could not be fetched, or null.
+ */
+export async function walkLeagueLineage(client, leagueId) {
+  const leagues = [];
+  let currentLeagueId = leagueId;
+
+  while (currentLeagueId && currentLeagueId !== '0') {
+    let league;
+    try {
+      league = await client.getLeague(currentLeagueId);
+    } catch (error) {
+      if (leagues.length === 0) throw error;
+      if (error.status === 404) break;
+      return { leagues, failure: { league_id: currentLeagueId, error } };
+    }
+    leagues.push(league);
+    currentLeagueId = league.previous_league_id;
+  }
+
+  return { leagues, failure: null };
+}
+
+/**
+ * Walks the `previous_league_id` chain and returns every season's league object, failing if
+ * any season other than a removed one cannot be fetched.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the leagues, most recent season first.
+ */
+export async function fetchLeagueLineage(client, leagueId) {
+  const { leagues, failure } = await walkLeagueLineage(client, leagueId);
+  if (failure) throw failure.error;
+  return leagues;
+}
+
+/**
+ * Collects every game of every season in the league's history with both teams resolved
+ * to their managers.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<object>} - A promise that resolves to { leagues, registry, games }, leagues newest first.
+ */
+export async function fetchLineageGames(client, leagueId) {
+  const leagues = await fetchLeagueLineage(client, leagueId);
+  const registry = createManagerRegistry();
+  const games = [];
+
+  // Fetch seasons one after another; each one already fans out into a request per week
+  for (const league of leagues) {
+    const [rosters, users] = await Promise.all([
+      client.getRosters(league.league_id),
+      client.getUsers(league.league_id)
+    ]);
+
+    // Seasons are walked newest first, so the registry keeps each manager's current name
+    const rosterManagers = registry.addSeason(league.season, users, rosters);
+    games.push(...assignGameManagers(await fetchSeasonGames(client, league), rosterManagers));
+  }
+
+  return { leagues, registry, games };
+}
+
+/**
+ * Resolves both teams of a season's games to their managers. Games without a known manager,
+ * or between two accounts merged into one manager, are left out.
+ * @param {Array<import('./types').Game>} seasonGames - The season's games from fetchSeasonGames.
+ * @param {Map<number, object>} rosterManagers - Map of roster ID to the roster's manager.
+ * @returns {Array<import('./types').Game>} - The games, each team with its `manager_id`.
+ */
+export function assignGameManagers(seasonGames, rosterManagers) {
+  return seasonGames.flatMap(game => {
+    const teams = game.teams.map(team => ({ ...team, manager_id: rosterManagers.get(team.roster_id)?.manager_id || null }));
+    if (!teams[0].manager_id || !teams[1].manager_id || teams[0].manager_id === teams[1].manager_id) return [];
+    return [{ ...game, teams }];
+  });
+}
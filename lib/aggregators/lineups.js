@@ -0,0 +1,304 @@
+// lib/aggregators/lineups.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { getPlayerDirectory } from '../players';
+import { roundPoints } from '../format';
+import { fetchLineageSeasons, registerSeasonManagers } from './history';
+import { fetchSeason, fetchWeeklyMatchups } from './season';
+
+// Positions each of Sleeper's starting slots accepts; a slot not listed only takes its own position
+const SLOT_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  REC_FLEX: ['WR', 'TE'],
+  WRRB_FLEX: ['RB', 'WR'],
+  IDP_FLEX: ['DL', 'LB', 'DB'],
+};
+
+// Roster slots that never score: bench, injured reserve and taxi squad
+const NON_STARTING_SLOTS = new Set(['BN', 'IR', 'TAXI']);
+
+// Sleeper fills an empty starting slot with this player ID
+const EMPTY_SLOT = '0';
+
+// Cost of putting a player in a slot that does not accept them; far above any real score
+const INELIGIBLE_COST = 1e6;
+
+const eligiblePositions = (slot) => SLOT_ELIGIBILITY[slot] || [slot];
+
+/**
+ * Returns a league's starting slots, in the order Sleeper lists a matchup's `starters`.
+ * @param {Array<string>} rosterPositions - The league's `roster_positions`.
+ * @returns {Array<string>} - The starting slots, e.g. ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX'].
+ */
+export function getStartingSlots(rosterPositions) {
+  return (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.has(slot));
+}
+
+/**
+ * Solves an assignment problem with the Hungarian algorithm: gives every row its own column so
+ * that the total cost is as low as possible.
+ * @param {number} rows - The number of rows.
+ * @param {number} columns - The number of columns; at least `rows`.
+ * @param {function(number, number): number} cost - The cost of giving a row a column.
+ * @returns {Array<number>} - The column of each row.
+ */
+function assignColumns(rows, columns, cost) {
+  // 1-based potentials and matches, with column 0 as the augmenting path's start
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(columns + 1).fill(0);
+  const match = new Array(columns + 1).fill(0);
+  const way = new Array(columns + 1).fill(0);
+
+  for (let row = 1; row <= rows; row++) {
+    match[0] = row;
+    let column = 0;
+    const minCost = new Array(columns + 1).fill(Infinity);
+    const used = new Array(columns + 1).fill(false);
+    do {
+      used[column] = true;
+      const matchedRow = match[column];
+      let delta = Infinity;
+      let next = 0;
+      for (let j = 1; j <= columns; j++) {
+        if (used[j]) continue;
+        const reduced = cost(matchedRow - 1, j - 1) - u[matchedRow] - v[j];
+        if (reduced < minCost[j]) {
+          minCost[j] = reduced;
+          way[j] = column;
+        }
+        if (minCost[j] < delta) {
+          delta = minCost[j];
+          next = j;
+        }
+      }
+      for (let j = 0; j <= columns; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minCost[j] -= delta;
+        }
+      }
+      column = next;
+    } while (match[column] !== 0);
+    do {
+      const previous = way[column];
+      match[column] = match[previous];
+      column = previous;
+    } while (column !== 0);
+  }
+
+  const assigned = new Array(rows);
+  for (let j = 1; j <= columns; j++) {
+    if (match[j] !== 0) assigned[match[j] - 1] = j - 1;
+  }
+  return assigned;
+}
+
+/**
+ * Picks the highest-scoring lineup a roster could have started, as a maximum-weight assignment
+ * of players to starting slots. A player fits a slot when any of their `positions` (Sleeper's
+ * `fantasy_positions`) is one the slot accepts; a slot nobody fits is left empty.
+ * @param {Array<string>} slots - The starting slots from getStartingSlots.
+ * @param {Array<{ player_id: string, positions: Array<string>, points: number }>} players - Everyone on the roster that week.
+ * @returns {{ starters: Array<object>, points: number }} - One { slot, ...player } per slot in
+ *   `slots` order (player fields null when nobody fits), and the lineup's total.
+ */
+export function optimizeLineup(slots, players) {
+  const fits = (slot, player) => player.positions.some(position => eligiblePositions(slot).includes(position));
+  // Every slot also gets its own "empty" column, so a lineup always exists
+  const cost = (slotIndex, column) => {
+    if (column >= players.length) return 0;
+    const player = players[column];
+    return fits(slots[slotIndex], player) ? -player.points : INELIGIBLE_COST;
+  };
+  const assigned = slots.length > 0 ? assignColumns(slots.length, players.length + slots.length, cost) : [];
+
+  const starters = slots.map((slot, index) => {
+    const player = players[assigned[index]];
+    return player && fits(slot, player)
+      ? { ...player, slot }
+      : { slot, player_id: null, positions: [], points: 0 };
+  });
+
+  return { starters, points: roundPoints(starters.reduce((total, starter) => total + starter.points, 0)) };
+}
+
+/**
+ * Works out every team's lineup for every scored week of a season: starters and bench with
+ * each player's points, the optimal lineup and the points left on the bench.
+ * @param {object} league - The Sleeper league.
+ * @param {Array<{ week: number, matchups: Array<object> }>} weeklyMatchups - The season's matchups per week.
+ * @param {object} players - The player dictionary from getPlayerDirectory.
+ * @returns {Array<object>} - { week, playoffs, lineups } per scored week.
+ */
+export function buildSeasonLineups(league, weeklyMatchups, players) {
+  const slots = getStartingSlots(league.roster_positions);
+  const playoffWeekStart = league.settings?.playoff_week_start || Infinity;
+  const describePlayer = (playerId, points) => ({
+    player_id: playerId,
+    name: players[playerId]?.name || playerId,
+    position: players[playerId]?.position || null,
+    team: players[playerId]?.team || null,
+    points: roundPoints(points ?? 0),
+  });
+  // Directories cached before `fantasy_positions` was kept only know the main position
+  const positionsOf = (playerId) => players[playerId]?.fantasy_positions || [players[playerId]?.position].filter(Boolean);
+
+  return weeklyMatchups
+    // Weeks nobody has scored in yet have nothing to explore
+    .filter(({ matchups }) => matchups.some(matchup => (matchup.custom_points ?? matchup.points ?? 0) !== 0))
+    .map(({ week, matchups }) => ({
+      week,
+      playoffs: week >= playoffWeekStart,
+      lineups: matchups.map(matchup => {
+        const playersPoints = matchup.players_points || {};
+        const starterIds = matchup.starters || [];
+        const starters = slots.map((slot, index) => {
+          const playerId = starterIds[index];
+          return !playerId || playerId === EMPTY_SLOT
+            ? { slot, player_id: null, name: null, position: null, team: null, points: 0 }
+            : { slot, ...describePlayer(playerId, playersPoints[playerId]) };
+        });
+        const bench = (matchup.players || [])
+          .filter(playerId => !starterIds.includes(playerId))
+          .map(playerId => describePlayer(playerId, playersPoints[playerId]))
+          .sort((a, b) => b.points - a.points);
+
+        const startedPoints = roundPoints(starters.reduce((total, starter) => total + starter.points, 0));
+        const optimal = optimizeLineup(slots, [...starters.filter(starter => starter.player_id), ...bench]
+          .map(({ player_id, name, points }) => ({ player_id, name, points, positions: positionsOf(player_id) })));
+        // A started player out of position can beat the optimal lineup; never report negative bench points
+        const optimalPoints = Math.max(optimal.points, startedPoints);
+
+        return {
+          roster_id: matchup.roster_id,
+          matchup_id: matchup.matchup_id ?? null,
+          points: matchup.custom_points ?? matchup.points ?? startedPoints,
+          starters,
+          bench,
+          optimal_starters: optimal.starters.map(({ slot, player_id, name = null, points }) => ({ slot, player_id, name, points })),
+          optimal_points: optimalPoints,
+          points_left_on_bench: roundPoints(optimalPoints - startedPoints),
+          efficiency: optimalPoints > 0 ? Math.round((startedPoints / optimalPoints) * 1000) / 10 : null,
+        };
+      }),
+    }));
+}
+
+/**
+ * Adds up a season's regular-season lineups into coaching efficiency per roster: the points
+ * started against the points the best possible lineups would have scored. Playoff weeks are
+ * left out because only some teams play them.
+ * @param {Array<object>} weeks - The weeks from buildSeasonLineups.
+ * @returns {Map<number, object>} - Roster ID to { weeks, points, optimal_points, points_left_on_bench, perfect_weeks }.
+ */
+function totalCoaching(weeks) {
+  const totals = new Map();
+  weeks.filter(week => !week.playoffs).forEach(({ lineups }) => {
+    lineups.forEach(lineup => {
+      const total = totals.get(lineup.roster_id) || { weeks: 0, points: 0, optimal_points: 0, points_left_on_bench: 0, perfect_weeks: 0 };
+      total.weeks += 1;
+      // The points actually started, which can differ from `lineup.points` when the commissioner overrode a score
+      total.points = roundPoints(total.points + lineup.optimal_points - lineup.points_left_on_bench);
+      total.optimal_points = roundPoints(total.optimal_points + lineup.optimal_points);
+      total.points_left_on_bench = roundPoints(total.points_left_on_bench + lineup.points_left_on_bench);
+      if (lineup.points_left_on_bench === 0) total.perfect_weeks += 1;
+      totals.set(lineup.roster_id, total);
+    });
+  });
+  return totals;
+}
+
+const efficiencyOf = (total) => (total.optimal_points > 0 ? Math.round((total.points / total.optimal_points) * 1000) / 10 : null);
+
+// Most efficient first; teams without a scored week go last
+const byEfficiency = (a, b) => ((b.efficiency ?? -1) - (a.efficiency ?? -1)) || (a.points_left_on_bench - b.points_left_on_bench);
+
+/**
+ * Fetches a season's lineups for the lineup explorer, with the season's coaching efficiency
+ * per team.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league (one season).
+ * @returns {Promise<import('./types').SeasonLineups>} - A promise that resolves to the season's lineups.
+ */
+export async function fetchSeasonLineups(client, leagueId) {
+  const { league, rosters, users } = await fetchSeason(client, leagueId);
+  const [weeklyMatchups, { players }] = await Promise.all([
+    fetchWeeklyMatchups(client, league),
+    getPlayerDirectory(client),
+  ]);
+  const directory = buildUserDirectory(users);
+
+  const teams = rosters.map(roster => {
+    const { manager_id, owner, team_name } = describeRosterManager(roster, directory);
+    return { roster_id: roster.roster_id, manager_id, owner, team_name };
+  });
+  const weeks = buildSeasonLineups(league, weeklyMatchups, players);
+  const totals = totalCoaching(weeks);
+
+  return {
+    league_id: league.league_id,
+    season: league.season,
+    starting_slots: getStartingSlots(league.roster_positions),
+    teams,
+    weeks,
+    coaching: teams
+      .filter(team => totals.has(team.roster_id))
+      .map(team => {
+        const total = totals.get(team.roster_id);
+        return { ...team, ...total, efficiency: efficiencyOf(total) };
+      })
+      .sort(byEfficiency),
+  };
+}
+
+/**
+ * Builds the all-time coaching efficiency leaderboard: every manager's regular-season points
+ * left on the bench, season by season and in total.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').CoachingLeaderboard>} - A promise that resolves to the leaderboard.
+ */
+export async function fetchCoachingLeaderboard(client, leagueId) {
+  const [{ seasons, failed_seasons }, { players }] = await Promise.all([
+    fetchLineageSeasons(client, leagueId),
+    getPlayerDirectory(client),
+  ]);
+
+  const { registry, rosterManagers } = registerSeasonManagers(seasons);
+
+  const seasonTotals = await Promise.all(seasons.map(async ({ league }) => (
+    totalCoaching(buildSeasonLineups(league, await fetchWeeklyMatchups(client, league), players))
+  )));
+
+  const managers = new Map();
+  seasons.forEach(({ league }, index) => {
+    seasonTotals[index].forEach((total, rosterId) => {
+      const managerId = rosterManagers[index].get(rosterId)?.manager_id;
+      if (!managerId) return;
+      if (!managers.has(managerId)) managers.set(managerId, []);
+      managers.get(managerId).push({ season: league.season, ...total, efficiency: efficiencyOf(total) });
+    });
+  });
+
+  const leaderboard = Array.from(managers, ([managerId, managerSeasons]) => {
+    const total = managerSeasons.reduce((sum, season) => ({
+      weeks: sum.weeks + season.weeks,
+      points: roundPoints(sum.points + season.points),
+      optimal_points: roundPoints(sum.optimal_points + season.optimal_points),
+      points_left_on_bench: roundPoints(sum.points_left_on_bench + season.points_left_on_bench),
+      perfect_weeks: sum.perfect_weeks + season.perfect_weeks,
+    }), { weeks: 0, points: 0, optimal_points: 0, points_left_on_bench: 0, perfect_weeks: 0 });
+    return {
+      manager_id: managerId,
+      name: registry.get(managerId).name,
+      ...total,
+      efficiency: efficiencyOf(total),
+      seasons: managerSeasons,
+    };
+  });
+
+  return { league_id: leagueId, leaderboard: leaderboard.sort(byEfficiency), failed_seasons };
+}
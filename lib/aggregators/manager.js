@@ -0,0 +1,163 @@
+// lib/aggregators/manager.js
+
+import { SleeperApiError } from '../sleeper/client';
+import { roundPoints } from '../format';
+import { describeFailure, fetchLineageSeasons, registerSeasonManagers } from './history';
+import { assignGameManagers } from './lineage';
+import { fetchSeasonGames } from './season';
+
+// Number of best and worst weeks listed on a profile
+const WEEKS_LISTED = 5;
+
+/**
+ * Builds one manager's career in a league: every season's team name, finish, record and
+ * playoff result, their titles, best and worst weeks, and their all-time record against
+ * every opponent. Seasons that could not be loaded, or whose games could not be, are left out
+ * and reported in `failed_seasons`, as on the league page.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @param {string} managerId - The manager ID (see lib/managers.js).
+ * @returns {Promise<import('./types').ManagerProfile>} - A promise that resolves to the manager's profile.
+ */
+export async function fetchManagerProfile(client, leagueId, managerId) {
+  const lineage = await fetchLineageSeasons(client, leagueId);
+  const { registry, rosterManagers } = registerSeasonManagers(lineage.seasons);
+
+  const manager = registry.get(managerId);
+  if (!manager) {
+    throw new SleeperApiError(`Manager ${managerId} was not found in league ${leagueId}.`, 404);
+  }
+
+  const seasonGames = await Promise.allSettled(lineage.seasons.map(({ league }) => fetchSeasonGames(client, league)));
+  const seasons = [];
+  const games = [];
+  const failedSeasons = [...lineage.failed_seasons];
+  seasonGames.forEach((result, index) => {
+    const season = lineage.seasons[index];
+    if (result.status === 'rejected') {
+      console.error(`Error fetching the games of ${season.league.league_id}:`, result.reason);
+      failedSeasons.push(describeFailure(season.league.league_id, season.league.season, result.reason));
+      return;
+    }
+    seasons.push(season);
+    games.push(...assignGameManagers(result.value, rosterManagers[index]));
+  });
+  const nameFor = (id) => registry.get(id)?.name || 'Unknown Owner';
+
+  // One entry per team per game, from the manager's side
+  const performances = games.flatMap(game => {
+    const team = game.teams.find(t => t.manager_id === managerId);
+    const opponent = game.teams.find(t => t.manager_id !== managerId);
+    if (!team || !opponent) return [];
+    return [{
+      season: game.season,
+      week: game.week,
+      playoffs: game.playoffs,
+      points: team.points,
+      opponent_id: opponent.manager_id,
+      opponent: nameFor(opponent.manager_id),
+      opponent_points: opponent.points,
+      result: team.points > opponent.points ? 'W' : team.points < opponent.points ? 'L' : 'T',
+    }];
+  });
+
+  const profileSeasons = seasons.flatMap(({ league, standings, history }) => {
+    const rank = standings.findIndex(row => row.manager_id === managerId);
+    if (rank === -1) return [];
+    const row = standings[rank];
+    const placement = history.placements.find(p => p.manager_id === managerId);
+
+    return [{
+      season: league.season,
+      league_id: league.league_id,
+      status: league.status,
+      team_name: row.team_name,
+      regular_season_rank: rank + 1,
+      teams: standings.length,
+      wins: row.wins,
+      losses: row.losses,
+      ties: row.ties,
+      points_for: row.total_points,
+      points_against: row.points_against,
+      made_playoffs: history.playoff_manager_ids.includes(managerId),
+      final_place: placement ? placement.place : null,
+      champion: history.champion_source !== 'in_progress' && history.champion_manager_id === managerId,
+      playoff_games: performances
+        .filter(game => game.season === league.season && game.playoffs)
+        .sort((a, b) => a.week - b.week),
+    }];
+  });
+
+  return {
+    league_id: leagueId,
+    manager,
+    seasons: profileSeasons,
+    titles: profileSeasons.filter(season => season.champion).map(season => season.season),
+    career: summarizeCareer(profileSeasons),
+    best_weeks: [...performances].sort((a, b) => b.points - a.points).slice(0, WEEKS_LISTED),
+    worst_weeks: [...performances].sort((a, b) => a.points - b.points).slice(0, WEEKS_LISTED),
+    opponents: summarizeOpponents(performances),
+    failed_seasons: failedSeasons,
+  };
+}
+
+/**
+ * Adds up a manager's seasons into career totals.
+ * @param {Array<object>} seasons - The profile's seasons.
+ * @returns {object} - { seasons, wins, losses, ties, win_pct, points_for, points_against, playoff_appearances, titles }.
+ */
+function summarizeCareer(seasons) {
+  const career = seasons.reduce((totals, season) => ({
+    wins: totals.wins + season.wins,
+    losses: totals.losses + season.losses,
+    ties: totals.ties + season.ties,
+    points_for: totals.points_for + season.points_for,
+    points_against: totals.points_against + season.points_against,
+    playoff_appearances: totals.playoff_appearances + (season.made_playoffs ? 1 : 0),
+    titles: totals.titles + (season.champion ? 1 : 0),
+  }), { wins: 0, losses: 0, ties: 0, points_for: 0, points_against: 0, playoff_appearances: 0, titles: 0 });
+
+  const games = career.wins + career.losses + career.ties;
+  return {
+    seasons: seasons.length,
+    ...career,
+    win_pct: games > 0 ? Math.round(((career.wins + career.ties / 2) / games) * 1000) / 1000 : 0,
+    points_for: roundPoints(career.points_for),
+    points_against: roundPoints(career.points_against),
+  };
+}
+
+/**
+ * Totals a manager's games per opponent.
+ * @param {Array<object>} performances - The manager's games.
+ * @returns {Array<object>} - { manager_id, name, games, wins, losses, ties, points_for, points_against }
+ *   per opponent, most games first.
+ */
+function summarizeOpponents(performances) {
+  const opponents = new Map();
+  performances.forEach(game => {
+    if (!opponents.has(game.opponent_id)) {
+      opponents.set(game.opponent_id, {
+        manager_id: game.opponent_id,
+        name: game.opponent,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        points_for: 0,
+        points_against: 0,
+      });
+    }
+    const record = opponents.get(game.opponent_id);
+    record.games += 1;
+    if (game.result === 'W') record.wins += 1;
+    if (game.result === 'L') record.losses += 1;
+    if (game.result === 'T') record.ties += 1;
+    record.points_for += game.points;
+    record.points_against += game.opponent_points;
+  });
+
+  return Array.from(opponents.values())
+    .map(record => ({ ...record, points_for: roundPoints(record.points_for), points_against: roundPoints(record.points_against) }))
+    .sort((a, b) => (b.games - a.games) || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,164 @@
+// lib/aggregators/powerRankings.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { roundPoints } from '../format';
+import { fetchSeason, fetchWeeklyMatchups } from './season';
+
+/**
+ * Computes a season's weekly and season-to-date power rankings from its regular-season matchups.
+ *
+ * - All-play: the record a team would have had playing every other team each week.
+ * - Expected wins: all-play wins (ties count half) divided by the number of opponents, added up
+ *   over the weeks. `luck` is actual wins minus expected wins: positive means the schedule helped.
+ * - Power rank: season-to-date all-play win percentage, then points for. It rewards scoring
+ *   against the whole league rather than the week's single opponent.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league (one season).
+ * @returns {Promise<import('./types').PowerRankings>} - A promise that resolves to the season's power rankings.
+ */
+export async function fetchPowerRankings(client, leagueId) {
+  const { league, rosters, users } = await fetchSeason(client, leagueId);
+  const directory = buildUserDirectory(users);
+  const playoffWeekStart = league.settings?.playoff_week_start || Infinity;
+  const weeklyMatchups = (await fetchWeeklyMatchups(client, league)).filter(({ week }) => week < playoffWeekStart);
+
+  const teams = rosters.map(roster => {
+    const { manager_id, owner, team_name, avatar } = describeRosterManager(roster, directory);
+    return { roster_id: roster.roster_id, manager_id, owner, team_name, avatar };
+  });
+  const { weeks, rankings } = computePowerRankings(teams.map(team => team.roster_id), weeklyMatchups);
+  const teamFor = (rosterId) => teams.find(team => team.roster_id === rosterId);
+
+  return {
+    league_id: league.league_id,
+    season: league.season,
+    teams,
+    weeks,
+    rankings: rankings.map(row => ({ ...teamFor(row.roster_id), ...row })),
+  };
+}
+
+// Compares two scores: 1 for a win, -1 for a loss and 0 for a tie
+const compareScores = (points, otherPoints) => Math.sign(points - otherPoints);
+
+/**
+ * Assigns 1-based ranks by sorting rows with a comparator.
+ * @param {Array<object>} rows - The rows to rank.
+ * @param {function(object, object): number} compare - Sorts the best row first.
+ * @returns {Map<number, number>} - Map of roster ID to rank.
+ */
+function rankBy(rows, compare) {
+  return new Map([...rows].sort(compare).map((row, index) => [row.roster_id, index + 1]));
+}
+
+/**
+ * Works out the power rankings from raw weekly matchups. Weeks where nobody scored yet are skipped.
+ * @param {Array<number>} rosterIds - The season's rosters.
+ * @param {Array<{ week: number, matchups: Array<object> }>} weeklyMatchups - Sleeper's matchups per week.
+ * @returns {object} - { weeks, rankings }: per week, every team's result and season-to-date standing,
+ *   and the latest season-to-date standings, best first.
+ */
+export function computePowerRankings(rosterIds, weeklyMatchups) {
+  const toDate = new Map(rosterIds.map(rosterId => [rosterId, {
+    roster_id: rosterId,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    all_play: { wins: 0, losses: 0, ties: 0 },
+    expected_wins: 0,
+    points_for: 0,
+  }]));
+  const weeks = [];
+
+  weeklyMatchups.forEach(({ week, matchups }) => {
+    const scores = matchups
+      .filter(matchup => toDate.has(matchup.roster_id))
+      .map(matchup => ({
+        roster_id: matchup.roster_id,
+        matchup_id: matchup.matchup_id ?? null,
+        points: matchup.custom_points ?? matchup.points ?? 0,
+      }));
+    if (scores.length < 2 || scores.every(score => score.points === 0)) return;
+
+    const weekRows = scores.map(score => {
+      const others = scores.filter(other => other.roster_id !== score.roster_id);
+      const opponent = score.matchup_id === null ? null : others.find(other => other.matchup_id === score.matchup_id);
+      const allPlay = { wins: 0, losses: 0, ties: 0 };
+      others.forEach(other => {
+        const outcome = compareScores(score.points, other.points);
+        if (outcome > 0) allPlay.wins += 1;
+        else if (outcome < 0) allPlay.losses += 1;
+        else allPlay.ties += 1;
+      });
+      const expectedWins = (allPlay.wins + allPlay.ties / 2) / others.length;
+      const result = opponent ? ['L', 'T', 'W'][compareScores(score.points, opponent.points) + 1] : null;
+
+      // Add the week to the team's season-to-date totals
+      const totals = toDate.get(score.roster_id);
+      if (result === 'W') totals.wins += 1;
+      if (result === 'L') totals.losses += 1;
+      if (result === 'T') totals.ties += 1;
+      totals.all_play.wins += allPlay.wins;
+      totals.all_play.losses += allPlay.losses;
+      totals.all_play.ties += allPlay.ties;
+      totals.expected_wins += expectedWins;
+      totals.points_for += score.points;
+
+      return {
+        roster_id: score.roster_id,
+        points: roundPoints(score.points),
+        opponent_points: opponent ? roundPoints(opponent.points) : null,
+        result,
+        all_play: allPlay,
+        expected_wins: roundPoints(expectedWins),
+      };
+    });
+
+    const standings = describeSeasonToDate(Array.from(toDate.values()));
+    const weekRanks = rankBy(weekRows, (a, b) => b.points - a.points);
+    weeks.push({
+      week,
+      teams: weekRows.map(row => ({
+        ...row,
+        week_rank: weekRanks.get(row.roster_id),
+        season_to_date: standings.find(team => team.roster_id === row.roster_id),
+      })),
+    });
+  });
+
+  const rankings = describeSeasonToDate(Array.from(toDate.values())).sort((a, b) => a.power_rank - b.power_rank);
+  return { weeks, rankings };
+}
+
+/**
+ * Returns an all-play win percentage, ties counting half.
+ * @param {{ wins: number, losses: number, ties: number }} allPlay - An all-play record.
+ * @returns {number} - The win percentage as a fraction.
+ */
+function allPlayWinPct({ wins, losses, ties }) {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+}
+
+/**
+ * Snapshots the season-to-date totals with their derived percentages, luck and ranks.
+ * @param {Array<object>} totals - The running totals of every team.
+ * @returns {Array<object>} - One row per team, in the order given.
+ */
+function describeSeasonToDate(totals) {
+  const rows = totals.map(team => ({
+    roster_id: team.roster_id,
+    wins: team.wins,
+    losses: team.losses,
+    ties: team.ties,
+    all_play: { ...team.all_play },
+    all_play_pct: allPlayWinPct(team.all_play),
+    expected_wins: roundPoints(team.expected_wins),
+    luck: roundPoints(team.wins + team.ties / 2 - team.expected_wins),
+    points_for: roundPoints(team.points_for),
+  }));
+
+  const powerRanks = rankBy(rows, (a, b) => b.all_play_pct - a.all_play_pct || b.points_for - a.points_for);
+  const pointsRanks = rankBy(rows, (a, b) => b.points_for - a.points_for);
+  return rows.map(row => ({ ...row, power_rank: powerRanks.get(row.roster_id), pf_rank: pointsRanks.get(row.roster_id) }));
+}
@@ -0,0 +1,113 @@
+// lib/aggregators/records.js
+
+import { roundPoints } from '../format';
+import { fetchLineageGames } from './lineage';
+import { describeScoringEras, findScoringEra } from './rules';
+
+// Number of entries kept for each record book list
+const RECORD_BOOK_SIZE = 10;
+
+/**
+ * Builds the league's record book from every game of every season: top and lowest
+ * single-week scores, biggest blowouts, closest games, most points scored in a loss, most
+ * regular-season points in a season and the longest win and loss streaks. Every entry is
+ * attributed to a manager, season and week, and marked with the scoring era it was played in
+ * (see describeScoringEras); streaks also give the era they ended in.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').RecordBook>} - A promise that resolves to { seasons, records }.
+ */
+export async function fetchRecordBook(client, leagueId) {
+  const { leagues, registry, games } = await fetchLineageGames(client, leagueId);
+  const nameFor = (managerId) => registry.get(managerId)?.name || 'Unknown Owner';
+  const top = (entries, compare) => [...entries].sort(compare).slice(0, RECORD_BOOK_SIZE);
+  const eras = describeScoringEras(leagues);
+
+  // Oldest game first, so streaks run in the order they were played
+  const chronological = [...games].sort((a, b) => (a.season - b.season) || (a.week - b.week));
+
+  // One entry per team per game
+  const performances = chronological.flatMap(game => {
+    const [a, b] = game.teams;
+    return [[a, b], [b, a]].map(([team, opponent]) => ({
+      manager_id: team.manager_id,
+      owner: nameFor(team.manager_id),
+      season: game.season,
+      week: game.week,
+      era: findScoringEra(eras, game.season),
+      playoffs: game.playoffs,
+      points: team.points,
+      opponent_id: opponent.manager_id,
+      opponent: nameFor(opponent.manager_id),
+      opponent_points: opponent.points,
+      margin: roundPoints(team.points - opponent.points),
+    }));
+  });
+  const wins = performances.filter(entry => entry.margin > 0);
+  const losses = performances.filter(entry => entry.margin < 0);
+
+  // Regular-season points per manager per season
+  const seasonTotals = new Map();
+  performances.filter(entry => !entry.playoffs).forEach(entry => {
+    const key = `${entry.manager_id}:${entry.season}`;
+    if (!seasonTotals.has(key)) {
+      seasonTotals.set(key, { manager_id: entry.manager_id, owner: entry.owner, season: entry.season, era: entry.era, points: 0, games: 0 });
+    }
+    const total = seasonTotals.get(key);
+    total.points = roundPoints(total.points + entry.points);
+    total.games += 1;
+  });
+
+  // Streaks run across seasons; a tie ends both a win and a loss streak
+  const streaks = { win: [], loss: [] };
+  const current = new Map();
+  const closeStreak = (managerId) => {
+    const streak = current.get(managerId);
+    if (streak && streak.length > 1) streaks[streak.type].push(streak);
+    current.delete(managerId);
+  };
+  performances.forEach(entry => {
+    const type = entry.margin > 0 ? 'win' : entry.margin < 0 ? 'loss' : null;
+    const streak = current.get(entry.manager_id);
+    if (streak && streak.type === type) {
+      streak.length += 1;
+      streak.end = { season: entry.season, week: entry.week };
+      streak.end_era = entry.era;
+      return;
+    }
+    closeStreak(entry.manager_id);
+    if (type) {
+      current.set(entry.manager_id, {
+        manager_id: entry.manager_id,
+        owner: entry.owner,
+        type,
+        length: 1,
+        start: { season: entry.season, week: entry.week },
+        end: { season: entry.season, week: entry.week },
+        era: entry.era,
+        end_era: entry.era,
+      });
+    }
+  });
+  // Streaks still running are records too
+  Array.from(current.keys()).forEach(managerId => {
+    const streak = current.get(managerId);
+    if (streak) streak.active = true;
+    closeStreak(managerId);
+  });
+
+  return {
+    seasons: leagues.map(league => league.season),
+    eras,
+    records: {
+      highest_scores: top(performances, (a, b) => b.points - a.points),
+      lowest_scores: top(performances, (a, b) => a.points - b.points),
+      biggest_blowouts: top(wins, (a, b) => b.margin - a.margin),
+      closest_games: top(wins, (a, b) => a.margin - b.margin),
+      most_points_in_loss: top(losses, (a, b) => b.points - a.points),
+      most_points_in_season: top(Array.from(seasonTotals.values()), (a, b) => b.points - a.points),
+      longest_win_streaks: top(streaks.win, (a, b) => b.length - a.length),
+      longest_loss_streaks: top(streaks.loss, (a, b) => b.length - a.length),
+    },
+  };
+}
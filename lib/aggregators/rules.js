@@ -0,0 +1,189 @@
+// lib/aggregators/rules.js
+
+import { fetchLeagueLineage } from './lineage';
+
+// Names of Sleeper's common `scoring_settings` keys; others are shown as their key
+const SCORING_LABELS = {
+  pass_yd: 'Passing yard',
+  pass_td: 'Passing TD',
+  pass_int: 'Interception thrown',
+  pass_2pt: 'Passing 2-pt conversion',
+  rush_yd: 'Rushing yard',
+  rush_td: 'Rushing TD',
+  rush_2pt: 'Rushing 2-pt conversion',
+  rec: 'Reception',
+  rec_yd: 'Receiving yard',
+  rec_td: 'Receiving TD',
+  rec_2pt: 'Receiving 2-pt conversion',
+  bonus_rec_rb: 'RB reception bonus',
+  bonus_rec_wr: 'WR reception bonus',
+  bonus_rec_te: 'TE reception bonus',
+  fum: 'Fumble',
+  fum_lost: 'Fumble lost',
+  fum_rec_td: 'Fumble recovery TD',
+  xpm: 'PAT made',
+  xpmiss: 'PAT missed',
+  fgm: 'Field goal made',
+  fgmiss: 'Field goal missed',
+  def_td: 'Defense TD',
+  sack: 'Sack',
+  int: 'Interception',
+  fum_rec: 'Fumble recovery',
+  safe: 'Safety',
+};
+
+// Names of Sleeper's roster slots
+const POSITION_LABELS = {
+  FLEX: 'Flex (RB/WR/TE)',
+  SUPER_FLEX: 'Superflex (QB/RB/WR/TE)',
+  REC_FLEX: 'Flex (WR/TE)',
+  WRRB_FLEX: 'Flex (RB/WR)',
+  IDP_FLEX: 'IDP flex',
+  DEF: 'Defense',
+  BN: 'Bench',
+};
+
+const lookup = (names) => (value) => names[value] ?? String(value);
+
+// The league `settings` shown in the rules, in order, with how each value reads
+const LEAGUE_SETTINGS = [
+  { key: 'type', label: 'League type', format: lookup({ 0: 'Redraft', 1: 'Keeper', 2: 'Dynasty' }) },
+  { key: 'num_teams', label: 'Teams' },
+  { key: 'playoff_teams', label: 'Playoff teams' },
+  { key: 'playoff_week_start', label: 'Playoffs start', format: value => `Week ${value}` },
+  { key: 'playoff_round_type', label: 'Playoff rounds', format: lookup({ 0: 'One week per round', 1: 'Two-week championship', 2: 'Two weeks per round' }) },
+  // Sleeper uses week 99 for "no deadline"
+  { key: 'trade_deadline', label: 'Trade deadline', format: value => (value >= 99 ? 'None' : `Week ${value}`) },
+  { key: 'waiver_type', label: 'Waivers', format: lookup({ 0: 'Rolling', 1: 'Reverse standings', 2: 'FAAB' }) },
+  { key: 'waiver_budget', label: 'FAAB budget', format: value => `$${value}` },
+  { key: 'best_ball', label: 'Best ball', format: value => (value ? 'Yes' : 'No') },
+  { key: 'reserve_slots', label: 'IR slots' },
+  { key: 'taxi_slots', label: 'Taxi slots' },
+];
+
+/**
+ * Lists every season's rules: scoring, roster slots and league settings, and what changed from
+ * the season before. Seasons that share the same scoring belong to one scoring era.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').LeagueRules>} - A promise that resolves to the rules of every season.
+ */
+export async function fetchLeagueRules(client, leagueId) {
+  const leagues = await fetchLeagueLineage(client, leagueId);
+  const eras = describeScoringEras(leagues);
+
+  const seasons = leagues.map((league, index) => {
+    // Leagues are newest first, so the previous season is the next one in the list
+    const previous = leagues[index + 1] || null;
+    const rules = describeRules(league);
+    return {
+      season: league.season,
+      league_id: league.league_id,
+      era: findScoringEra(eras, league.season),
+      ...rules,
+      compared_to: previous ? previous.season : null,
+      changes: previous ? diffRules(describeRules(previous), rules) : [],
+    };
+  });
+
+  return { league_id: leagueId, seasons, eras };
+}
+
+/**
+ * Describes one season's rules as labelled rows.
+ * @param {object} league - The Sleeper league.
+ * @returns {object} - { scoring: [{ key, label, value }], roster_positions: [{ position, label, count }],
+ *   settings: [{ key, label, value }] }; setting values are formatted for display.
+ */
+function describeRules(league) {
+  const scoring = Object.entries(league.scoring_settings || {}).map(([key, value]) => ({
+    key,
+    label: SCORING_LABELS[key] || key.replace(/_/g, ' '),
+    value,
+  }));
+
+  const counts = new Map();
+  (league.roster_positions || []).forEach(position => counts.set(position, (counts.get(position) || 0) + 1));
+  const rosterPositions = Array.from(counts, ([position, count]) => ({ position, label: POSITION_LABELS[position] || position, count }));
+
+  const settings = LEAGUE_SETTINGS
+    .filter(({ key }) => league.settings?.[key] !== undefined && league.settings?.[key] !== null)
+    .map(({ key, label, format }) => ({ key, label, value: format ? format(league.settings[key]) : String(league.settings[key]) }));
+
+  return { scoring, roster_positions: rosterPositions, settings };
+}
+
+/**
+ * Lists what changed between two seasons' rules. A rule missing from one side reads as null.
+ * @param {object} before - The older season's rules from describeRules.
+ * @param {object} after - The newer season's rules from describeRules.
+ * @returns {Array<object>} - { section: 'scoring'|'roster'|'settings', key, label, from, to } per change.
+ */
+function diffRules(before, after) {
+  const diff = (section, beforeRows, afterRows, keyOf, valueOf) => {
+    const rows = new Map();
+    beforeRows.forEach(row => rows.set(keyOf(row), { label: row.label, from: valueOf(row), to: null }));
+    afterRows.forEach(row => rows.set(keyOf(row), { from: null, ...rows.get(keyOf(row)), label: row.label, to: valueOf(row) }));
+    return Array.from(rows, ([key, row]) => ({ section, key, ...row })).filter(row => row.from !== row.to);
+  };
+
+  return [
+    ...diff('scoring', before.scoring, after.scoring, row => row.key, row => row.value),
+    ...diff('roster', before.roster_positions, after.roster_positions, row => row.position, row => row.count),
+    ...diff('settings', before.settings, after.settings, row => row.key, row => row.value),
+  ];
+}
+
+// A scoring configuration as text that does not depend on key order
+const scoringKey = (scoring) => JSON.stringify(Object.entries(scoring || {}).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Summarizes the scoring rules most leagues argue about: points per reception, passing TDs
+ * and TE premium.
+ * @param {object} scoring - Sleeper's `scoring_settings`.
+ * @returns {string} - E.g. `Half PPR, 4 pt passing TD`.
+ */
+function summarizeScoring(scoring = {}) {
+  const rec = scoring.rec || 0;
+  const parts = [rec === 1 ? 'Full PPR' : rec === 0.5 ? 'Half PPR' : rec === 0 ? 'Standard' : `${rec} PPR`];
+  if (scoring.pass_td !== undefined) parts.push(`${scoring.pass_td} pt passing TD`);
+  if (scoring.bonus_rec_te) parts.push(`TE premium +${scoring.bonus_rec_te}`);
+  return parts.join(', ');
+}
+
+/**
+ * Groups consecutive seasons with identical `scoring_settings` into scoring eras, so stats can
+ * be compared within the rules they were scored under.
+ * @param {Array<object>} leagues - The Sleeper leagues of the lineage, in any order.
+ * @returns {Array<object>} - { era, label, seasons, summary } per era, oldest first; `era`
+ *   counts from 1 and `label` reads e.g. `2019-2022`.
+ */
+export function describeScoringEras(leagues) {
+  const eras = [];
+  [...leagues].sort((a, b) => a.season - b.season).forEach(league => {
+    const key = scoringKey(league.scoring_settings);
+    const last = eras[eras.length - 1];
+    if (last && last.key === key) {
+      last.seasons.push(league.season);
+      return;
+    }
+    eras.push({ key, era: eras.length + 1, seasons: [league.season], summary: summarizeScoring(league.scoring_settings) });
+  });
+
+  return eras.map(({ era, seasons, summary }) => ({
+    era,
+    label: seasons.length > 1 ? `${seasons[0]}-${seasons[seasons.length - 1]}` : seasons[0],
+    seasons,
+    summary,
+  }));
+}
+
+/**
+ * Finds the scoring era a season was played in.
+ * @param {Array<object>} eras - The eras from describeScoringEras.
+ * @param {string|number} season - The season.
+ * @returns {number|null} - The era number, or null for a season outside the lineage.
+ */
+export function findScoringEra(eras, season) {
+  return eras.find(era => era.seasons.includes(String(season)))?.era ?? null;
+}
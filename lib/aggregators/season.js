@@ -0,0 +1,96 @@
+// lib/aggregators/season.js
+
+/**
+ * Fetches the league, rosters and users of one season.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league (one season).
+ * @returns {Promise<object>} - A promise that resolves to { league, rosters, users }.
+ */
+export async function fetchSeason(client, leagueId) {
+  const [league, rosters, users] = await Promise.all([
+    client.getLeague(leagueId),
+    client.getRosters(leagueId),
+    client.getUsers(leagueId)
+  ]);
+  return { league, rosters, users };
+}
+
+/**
+ * Returns the last week of a season that can have matchups, including the playoffs.
+ * @param {object} league - The league object.
+ * @returns {number} - The last week to fetch matchups for.
+ */
+export function getLastMatchupWeek(league) {
+  const settings = league.settings || {};
+  if (league.status === 'complete' && settings.last_scored_leg) return settings.last_scored_leg;
+  // In-progress seasons only have matchups up to the current week
+  return settings.leg || settings.last_scored_leg || 18;
+}
+
+/**
+ * Fetches Sleeper's raw matchups of every week of a season that can have them.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {object} league - The league object for the season.
+ * @returns {Promise<Array<object>>} - A promise that resolves to { week, matchups } per week, in order.
+ */
+export async function fetchWeeklyMatchups(client, league) {
+  const weeks = Array.from({ length: getLastMatchupWeek(league) }, (_, i) => i + 1);
+  return Promise.all(weeks.map(async (week) => ({
+    week,
+    matchups: await client.getMatchups(league.league_id, week),
+  })));
+}
+
+/**
+ * Fetches a season's weekly matchups and pairs them into games by `matchup_id`.
+ * Weeks without a partner (byes) and unplayed weeks where both teams scored zero are skipped.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {object} league - The league object for the season.
+ * @returns {Promise<Array<import('./types').Game>>} - A promise that resolves to the season's games.
+ */
+export async function fetchSeasonGames(client, league) {
+  const playoffWeekStart = league.settings?.playoff_week_start || Infinity;
+  const weeklyMatchups = await fetchWeeklyMatchups(client, league);
+
+  const games = [];
+  weeklyMatchups.forEach(({ week, matchups }) => {
+    const byMatchupId = new Map();
+    matchups.forEach(matchup => {
+      if (matchup.matchup_id === null || matchup.matchup_id === undefined) return;
+      if (!byMatchupId.has(matchup.matchup_id)) byMatchupId.set(matchup.matchup_id, []);
+      byMatchupId.get(matchup.matchup_id).push(matchup);
+    });
+
+    byMatchupId.forEach(pair => {
+      if (pair.length !== 2) return;
+      const teams = pair.map(matchup => ({
+        roster_id: matchup.roster_id,
+        points: matchup.custom_points ?? matchup.points ?? 0,
+      }));
+      if (teams[0].points === 0 && teams[1].points === 0) return;
+      games.push({ season: league.season, week, playoffs: week >= playoffWeekStart, teams });
+    });
+  });
+
+  return games;
+}
+
+/**
+ * Fetches the points each roster scored over the given weeks.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league.
+ * @param {Array<number>} weeks - The weeks to total.
+ * @returns {Promise<Map<number, number>>} - A promise that resolves to a map of roster ID to points.
+ */
+export async function fetchRosterPointsForWeeks(client, leagueId, weeks) {
+  const weeklyMatchups = await Promise.all(weeks.map(week => client.getMatchups(leagueId, week)));
+
+  const pointsByRoster = new Map();
+  weeklyMatchups.forEach(matchups => {
+    matchups.forEach(matchup => {
+      const points = matchup.custom_points ?? matchup.points ?? 0;
+      pointsByRoster.set(matchup.roster_id, (pointsByRoster.get(matchup.roster_id) || 0) + points);
+    });
+  });
+  return pointsByRoster;
+}
@@ -0,0 +1,36 @@
+// lib/aggregators/snapshot.js
+
+import { fetchLineageSeasons, registerSeasonManagers } from './history';
+import { getTiebreakers } from './standings';
+
+/**
+ * Builds everything the league page shows about a league's history in one response: every
+ * season with its champions and standings, the managers across seasons, and which seasons are
+ * complete. Saves the browser a standings request per season.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').LeagueSnapshot>} - A promise that resolves to the league's snapshot.
+ */
+export async function fetchLeagueSnapshot(client, leagueId) {
+  const { leagues, seasons, failed_seasons } = await fetchLineageSeasons(client, leagueId);
+
+  const { registry } = registerSeasonManagers(seasons);
+
+  const snapshotSeasons = seasons.map(({ league, standings, history }) => ({
+    ...history,
+    complete: league.status === 'complete',
+    standings,
+    tiebreakers: getTiebreakers(league.league_id),
+  }));
+
+  return {
+    league_id: leagueId,
+    name: leagues[0].name,
+    current_season: leagues[0].season,
+    complete_seasons: snapshotSeasons.filter(season => season.complete).map(season => season.season),
+    generated_at: new Date().toISOString(),
+    seasons: snapshotSeasons,
+    managers: registry.list(),
+    failed_seasons,
+  };
+}
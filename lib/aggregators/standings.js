@@ -0,0 +1,145 @@
+// lib/aggregators/standings.js
+
+import { buildUserDirectory, describeRosterManager } from '../managers';
+import { roundPoints } from '../format';
+import { fetchSeason, fetchSeasonGames } from './season';
+import tiebreakerConfig from '../../config/tiebreakers.json';
+
+/**
+ * Fetches league data for a specific season and aggregates it to determine standings.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the league.
+ * @param {string} season - The season to fetch standings for.
+ * @returns {Promise<import('./types').SeasonStandings>} - A promise that resolves to the season's standings.
+ */
+export async function fetchStandings(client, leagueId, season) {
+  const { league, rosters, users } = await fetchSeason(client, leagueId);
+  const directory = buildUserDirectory(users);
+
+  if (rosters.length === 0) {
+    console.warn(`No rosters found for league ${leagueId}, season ${season}. Cannot compute standings.`);
+    return { season, standings: [], league_name: league.name };
+  }
+
+  const standings = await rankStandings(client, league, buildStandingsRows(rosters, directory));
+
+  return { season, standings, league_name: league.name, tiebreakers: getTiebreakers(league.league_id) };
+}
+
+/**
+ * Combines one of Sleeper's split point values, e.g. `fpts` and `fpts_decimal`.
+ * The decimal part holds hundredths, so `{ fpts: 120, fpts_decimal: 5 }` is 120.05.
+ * @param {number} whole - The whole points.
+ * @param {number} decimal - The hundredths of a point.
+ * @returns {number} - The combined points.
+ */
+export function combinePoints(whole, decimal) {
+  return roundPoints((whole ?? 0) + (decimal ?? 0) / 100);
+}
+
+/**
+ * Calculates each roster's record and points for the standings.
+ * @param {Array<object>} rosters - The league's rosters.
+ * @param {Map<string, object>} directory - The season's user directory from buildUserDirectory.
+ * @returns {Array<import('./types').StandingsRow>} - One unsorted standings row per roster.
+ */
+export function buildStandingsRows(rosters, directory) {
+  return rosters.map(roster => {
+    // Safely access properties with default values
+    const settings = roster.settings || {};
+    const wins = settings.wins ?? 0;
+    const losses = settings.losses ?? 0;
+    const ties = settings.ties ?? 0;
+    const games = wins + losses + ties;
+    const totalPoints = combinePoints(settings.fpts, settings.fpts_decimal);
+    // `ppts` (potential points) is only filled in once Sleeper has scored a week
+    const maxPoints = settings.ppts !== undefined ? combinePoints(settings.ppts, settings.ppts_decimal) : null;
+
+    return {
+      roster_id: roster.roster_id,
+      ...describeRosterManager(roster, directory),
+      wins: wins,
+      losses: losses,
+      ties: ties,
+      win_pct: games > 0 ? (wins + ties / 2) / games : 0,
+      total_points: totalPoints,
+      points_against: combinePoints(settings.fpts_against, settings.fpts_against_decimal),
+      max_points: maxPoints,
+      efficiency: maxPoints ? Math.round((totalPoints / maxPoints) * 1000) / 10 : null,
+    };
+  });
+}
+
+/**
+ * Returns the tiebreakers a league uses, in order, from config/tiebreakers.json.
+ * Supported tiebreakers are `points_for` (Sleeper's default) and `head_to_head`.
+ * @param {string} leagueId - The ID of the league.
+ * @returns {Array<string>} - The league's tiebreakers.
+ */
+export function getTiebreakers(leagueId) {
+  const configured = tiebreakerConfig.leagues?.[leagueId] || tiebreakerConfig.default || ['points_for'];
+  return configured.filter(tiebreaker => {
+    const supported = tiebreaker === 'points_for' || tiebreaker === 'head_to_head';
+    if (!supported) console.warn(`Ignoring unsupported tiebreaker "${tiebreaker}" for league ${leagueId}.`);
+    return supported;
+  });
+}
+
+/**
+ * Sorts standings rows the way Sleeper does: by win percentage with ties counted as half a
+ * win, then by the league's tiebreakers. The head-to-head tiebreaker compares each team's
+ * win percentage in regular-season games against the other teams it is tied with, and only
+ * fetches matchups when there is a tie to break.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {object} league - The league object.
+ * @param {Array<import('./types').StandingsRow>} standings - The standings rows from buildStandingsRows.
+ * @returns {Promise<Array<import('./types').StandingsRow>>} - A promise that resolves to the sorted standings.
+ */
+export async function rankStandings(client, league, standings) {
+  const tiebreakers = getTiebreakers(league.league_id);
+
+  const tiedGroups = new Map();
+  standings.forEach(row => {
+    if (!tiedGroups.has(row.win_pct)) tiedGroups.set(row.win_pct, []);
+    tiedGroups.get(row.win_pct).push(row);
+  });
+  const hasTies = Array.from(tiedGroups.values()).some(group => group.length > 1);
+
+  const headToHeadPct = new Map();
+  if (hasTies && tiebreakers.includes('head_to_head')) {
+    const games = (await fetchSeasonGames(client, league)).filter(game => !game.playoffs);
+    tiedGroups.forEach(group => {
+      if (group.length < 2) return;
+      const groupIds = new Set(group.map(row => row.roster_id));
+      group.forEach(row => {
+        let wins = 0;
+        let played = 0;
+        games.forEach(game => {
+          const team = game.teams.find(t => t.roster_id === row.roster_id);
+          const opponent = game.teams.find(t => t.roster_id !== row.roster_id);
+          if (!team || !opponent || !groupIds.has(opponent.roster_id)) return;
+          played += 1;
+          if (team.points > opponent.points) wins += 1;
+          else if (team.points === opponent.points) wins += 0.5;
+        });
+        headToHeadPct.set(row.roster_id, played > 0 ? wins / played : 0);
+      });
+    });
+  }
+
+  const comparators = {
+    points_for: (a, b) => b.total_points - a.total_points,
+    head_to_head: (a, b) => (headToHeadPct.get(b.roster_id) ?? 0) - (headToHeadPct.get(a.roster_id) ?? 0),
+  };
+
+  return [...standings].sort((a, b) => {
+    if (b.win_pct !== a.win_pct) {
+      return b.win_pct - a.win_pct;
+    }
+    for (const tiebreaker of tiebreakers) {
+      const difference = comparators[tiebreaker](a, b);
+      if (difference !== 0) return difference;
+    }
+    return b.total_points - a.total_points;
+  });
+}
@@ -0,0 +1,137 @@
+// lib/aggregators/transactions.js
+
+import { createManagerRegistry } from '../managers';
+import { getPlayerDirectory } from '../players';
+import { fetchLeagueLineage } from './lineage';
+
+/**
+ * Returns the weeks of a season that can hold transactions. Sleeper files off-season moves
+ * under week 1, and a finished season can have moves up to the last NFL week.
+ * @param {object} league - The league object.
+ * @returns {Array<number>} - The weeks to fetch transactions for.
+ */
+function getTransactionWeeks(league) {
+  const lastWeek = league.status === 'complete' ? 18 : Math.max(1, league.settings?.leg || 1);
+  return Array.from({ length: lastWeek }, (_, i) => i + 1);
+}
+
+/**
+ * Normalizes one Sleeper transaction into the moves each manager made in it.
+ * @param {object} transaction - The Sleeper transaction.
+ * @param {object} league - The league object of the season.
+ * @param {Map<number, object>} rosterManagers - Map of roster ID to the roster's manager.
+ * @param {object} players - The player dictionary from getPlayerDirectory.
+ * @returns {object} - The normalized transaction.
+ */
+function normalizeTransaction(transaction, league, rosterManagers, players) {
+  const managerFor = (rosterId) => {
+    const manager = rosterManagers.get(rosterId);
+    return manager ? { manager_id: manager.manager_id, owner: manager.owner } : { manager_id: null, owner: 'Unknown Owner' };
+  };
+  const playerFor = (playerId) => ({
+    player_id: playerId,
+    name: players[playerId]?.name || playerId,
+    position: players[playerId]?.position || null,
+  });
+
+  const moves = new Map();
+  const moveFor = (rosterId) => {
+    if (!moves.has(rosterId)) {
+      moves.set(rosterId, { roster_id: rosterId, ...managerFor(rosterId), adds: [], drops: [], picks_received: [], picks_sent: [], faab_received: 0, faab_sent: 0 });
+    }
+    return moves.get(rosterId);
+  };
+  (transaction.roster_ids || []).forEach(moveFor);
+
+  Object.entries(transaction.adds || {}).forEach(([playerId, rosterId]) => moveFor(rosterId).adds.push(playerFor(playerId)));
+  Object.entries(transaction.drops || {}).forEach(([playerId, rosterId]) => moveFor(rosterId).drops.push(playerFor(playerId)));
+
+  // Draft picks: `roster_id` is the pick's original owner, `owner_id` its new one
+  (transaction.draft_picks || []).forEach(pick => {
+    const draftPick = { season: pick.season, round: pick.round, original_owner: managerFor(pick.roster_id).owner };
+    moveFor(pick.owner_id).picks_received.push(draftPick);
+    moveFor(pick.previous_owner_id).picks_sent.push(draftPick);
+  });
+
+  (transaction.waiver_budget || []).forEach(({ sender, receiver, amount }) => {
+    moveFor(sender).faab_sent += amount;
+    moveFor(receiver).faab_received += amount;
+  });
+
+  return {
+    transaction_id: transaction.transaction_id,
+    season: league.season,
+    week: transaction.leg,
+    type: transaction.type,
+    created: transaction.status_updated || transaction.created,
+    waiver_bid: transaction.type === 'waiver' ? (transaction.settings?.waiver_bid ?? 0) : null,
+    moves: Array.from(moves.values()),
+  };
+}
+
+/**
+ * Collects every completed transaction of every season in the league's history, newest
+ * first, with summary stats such as the most active trader and FAAB spent per manager.
+ * Failed waiver claims are left out.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} leagueId - The ID of the most recent league.
+ * @returns {Promise<import('./types').TransactionLog>} - A promise that resolves to { seasons, managers, transactions, summary }.
+ */
+export async function fetchTransactionLog(client, leagueId) {
+  const leagues = await fetchLeagueLineage(client, leagueId);
+  const registry = createManagerRegistry();
+  const { players } = await getPlayerDirectory(client);
+  const transactions = [];
+
+  for (const league of leagues) {
+    const [rosters, users] = await Promise.all([
+      client.getRosters(league.league_id),
+      client.getUsers(league.league_id)
+    ]);
+    const rosterManagers = registry.addSeason(league.season, users, rosters);
+
+    const weeklyTransactions = await Promise.all(getTransactionWeeks(league).map(week => client.getTransactions(league.league_id, week)));
+
+    weeklyTransactions.flat()
+      .filter(transaction => transaction.status === 'complete')
+      .forEach(transaction => transactions.push(normalizeTransaction(transaction, league, rosterManagers, players)));
+  }
+
+  transactions.sort((a, b) => b.created - a.created);
+
+  // Summary stats per manager
+  const statsByManager = new Map();
+  const statsFor = (move) => {
+    if (!statsByManager.has(move.manager_id)) {
+      statsByManager.set(move.manager_id, { manager_id: move.manager_id, owner: registry.get(move.manager_id)?.name || move.owner, trades: 0, waivers: 0, free_agents: 0, faab_spent: 0 });
+    }
+    return statsByManager.get(move.manager_id);
+  };
+  transactions.forEach(transaction => {
+    transaction.moves.filter(move => move.manager_id).forEach(move => {
+      const stats = statsFor(move);
+      if (transaction.type === 'trade') stats.trades += 1;
+      if (transaction.type === 'waiver') {
+        stats.waivers += 1;
+        stats.faab_spent += transaction.waiver_bid;
+      }
+      if (transaction.type === 'free_agent') stats.free_agents += 1;
+    });
+  });
+  const managerStats = Array.from(statsByManager.values()).sort((a, b) => b.trades - a.trades);
+
+  return {
+    seasons: leagues.map(league => league.season),
+    managers: registry.list(),
+    transactions,
+    summary: {
+      total_transactions: transactions.length,
+      trades: transactions.filter(t => t.type === 'trade').length,
+      waivers: transactions.filter(t => t.type === 'waiver').length,
+      free_agents: transactions.filter(t => t.type === 'free_agent').length,
+      total_faab_spent: managerStats.reduce((total, stats) => total + stats.faab_spent, 0),
+      most_active_trader: managerStats.length > 0 && managerStats[0].trades > 0 ? managerStats[0] : null,
+      by_manager: managerStats,
+    },
+  };
+}
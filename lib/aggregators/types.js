@@ -0,0 +1,332 @@
+// lib/aggregators/types.js
+//
+// Shapes of the aggregated responses served by /api/league-data. This module only holds
+// JSDoc type definitions; aggregators reference them as `import('./types').Name`.
+
+/**
+ * A manager's identity as resolved from a roster (see describeRosterManager in lib/managers.js).
+ * @typedef {object} RosterManager
+ * @property {string|null} manager_id - Stable manager ID shared by all of a person's accounts.
+ * @property {string} owner - Display name of the manager.
+ * @property {string|null} team_name - The team name for the season.
+ * @property {string|null} avatar - Avatar URL.
+ * @property {Array<{ manager_id: string|null, owner: string }>} co_owners - The roster's co-owners.
+ */
+
+/**
+ * A manager across seasons (see createManagerRegistry in lib/managers.js).
+ * @typedef {object} Manager
+ * @property {string} manager_id
+ * @property {string} name - The manager's most recent name.
+ * @property {string|null} avatar
+ * @property {Array<{ season: string, team_name: string|null }>} team_names
+ */
+
+/**
+ * One played game between two rosters.
+ * @typedef {object} Game
+ * @property {string} season
+ * @property {number} week
+ * @property {boolean} playoffs - Whether the week falls in the playoffs.
+ * @property {Array<{ roster_id: number, points: number, manager_id?: string }>} teams - Both teams; `manager_id` is set for lineage games.
+ */
+
+/**
+ * One row of a season's standings (`dataType=standings`).
+ * @typedef {RosterManager & object} StandingsRow
+ * @property {number} roster_id
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties
+ * @property {number} win_pct - Ties count as half a win.
+ * @property {number} total_points
+ * @property {number} points_against
+ * @property {number|null} max_points - Potential points, once Sleeper has scored a week.
+ * @property {number|null} efficiency - total_points as a percentage of max_points.
+ */
+
+/**
+ * Response of `dataType=standings`.
+ * @typedef {object} SeasonStandings
+ * @property {string} season
+ * @property {Array<StandingsRow>} standings - Best first.
+ * @property {string} league_name
+ * @property {Array<string>} [tiebreakers] - The tiebreakers applied, in order.
+ */
+
+/**
+ * One season of the league history (`dataType=champions`).
+ * @typedef {object} SeasonHistory
+ * @property {string} season
+ * @property {string} league_id
+ * @property {string} name
+ * @property {string} status - Sleeper's league status, e.g. `complete` or `in_season`.
+ * @property {number} total_rosters
+ * @property {'bracket'|'regular_season'|'in_progress'} champion_source
+ * @property {string|null} champion
+ * @property {string|null} champion_manager_id
+ * @property {string|null} runner_up
+ * @property {string|null} runner_up_manager_id
+ * @property {string|null} third_place
+ * @property {string|null} third_place_manager_id
+ * @property {string|null} regular_season_leader
+ * @property {string|null} regular_season_leader_manager_id
+ * @property {{ weeks: Array<number>, winner_points: number|null, loser_points: number|null }|null} championship_score
+ * @property {Array<{ place: number, roster_id: number, manager_id: string|null, owner: string|null }>} placements
+ * @property {Array<string>} playoff_manager_ids
+ */
+
+/**
+ * Response of `dataType=champions`.
+ * @typedef {object} LeagueHistory
+ * @property {Array<SeasonHistory>} seasons - Most recent season first.
+ * @property {Array<{ league_id: string, season: string|null, status: number|null, error: string }>} failed_seasons -
+ *   Seasons that could not be loaded; `season` is null when the league itself could not be
+ *   fetched, in which case older seasons are unknown too.
+ */
+
+/**
+ * One season of `dataType=snapshot`: the season's history entry plus its standings.
+ * @typedef {SeasonHistory & object} SnapshotSeason
+ * @property {boolean} complete - Whether Sleeper reports the season as complete.
+ * @property {Array<StandingsRow>} standings - Best first.
+ * @property {Array<string>} tiebreakers - The tiebreakers applied, in order.
+ */
+
+/**
+ * Response of `dataType=snapshot`.
+ * @typedef {object} LeagueSnapshot
+ * @property {string} league_id - The most recent league.
+ * @property {string} name - The most recent league's name.
+ * @property {string} current_season - The most recent season.
+ * @property {Array<string>} complete_seasons - Seasons Sleeper reports as complete, most recent first.
+ * @property {string} generated_at - When the snapshot was built (ISO 8601).
+ * @property {Array<SnapshotSeason>} seasons - Most recent season first.
+ * @property {Array<Manager>} managers - Everyone who managed a team in the loaded seasons.
+ * @property {Array<object>} failed_seasons - Seasons that could not be loaded, as in LeagueHistory.
+ */
+
+/**
+ * Response of `dataType=archive`: the whole lineage as a versioned backup.
+ * @typedef {object} LeagueArchive
+ * @property {string} format - Always `sleeper-league-archive`.
+ * @property {number} version - The archive format version (ARCHIVE_VERSION in archive.js).
+ * @property {string} exported_at - When the archive was built (ISO 8601).
+ * @property {string} league_id - The most recent league.
+ * @property {string} name - The most recent league's name.
+ * @property {Array<object>} seasons - Most recent first; each { season, league_id, complete, history,
+ *   standings, sleeper }, `sleeper` holding the raw { league, users, rosters, winners_bracket,
+ *   losers_bracket, matchups: [{ week, matchups }] }.
+ * @property {Array<Manager>} managers
+ * @property {Array<object>} failed_seasons - Seasons that could not be loaded, as in LeagueHistory.
+ */
+
+/**
+ * A file served by a `download` data type (`dataType=export_csv` and `dataType=archive`).
+ * @typedef {object} FileDownload
+ * @property {string} filename
+ * @property {string} content_type
+ * @property {string} body
+ */
+
+/**
+ * A team's season-to-date standing in the power rankings.
+ * @typedef {object} PowerRankingRow
+ * @property {number} roster_id
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties
+ * @property {{ wins: number, losses: number, ties: number }} all_play - The record against every team, every week.
+ * @property {number} all_play_pct - Ties count as half a win.
+ * @property {number} expected_wins - Wins an average schedule would have given.
+ * @property {number} luck - Actual wins minus expected wins.
+ * @property {number} points_for
+ * @property {number} power_rank - By all-play win percentage, then points for.
+ * @property {number} pf_rank - By points for.
+ */
+
+/**
+ * Response of `dataType=power_rankings`.
+ * @typedef {object} PowerRankings
+ * @property {string} league_id
+ * @property {string} season
+ * @property {Array<object>} teams - Each { roster_id, manager_id, owner, team_name, avatar }.
+ * @property {Array<object>} weeks - Each scored regular-season week as { week, teams }, every team with
+ *   { roster_id, points, opponent_points, result, all_play, expected_wins, week_rank, season_to_date }.
+ * @property {Array<PowerRankingRow & object>} rankings - The latest standing with the team's manager, best first.
+ */
+
+/**
+ * One side of a bracket game.
+ * @typedef {object} BracketTeam
+ * @property {number|null} roster_id - Null until an earlier match decides it.
+ * @property {number|null} seed - The regular-season rank.
+ * @property {string|null} manager_id
+ * @property {string|null} owner
+ * @property {string|null} team_name
+ * @property {number|null} points - Points over the round's weeks; null before the round is scored.
+ * @property {{ match: number, result: 'winner'|'loser' }|null} from - The earlier match the team comes from.
+ */
+
+/**
+ * Response of `dataType=bracket`.
+ * @typedef {object} PlayoffBracket
+ * @property {string} league_id
+ * @property {string} season
+ * @property {string} status
+ * @property {number|null} playoff_teams
+ * @property {object} winners - The playoffs as { rounds, byes }: each round is { round, weeks, games }, each
+ *   game { match, label, place, teams: [BracketTeam, BracketTeam], winner_roster_id, loser_roster_id }.
+ * @property {object} losers - The toilet bowl, shaped like `winners`.
+ * @property {Array<object>} placements - Each { place, roster_id, seed, manager_id, owner, team_name }, best first.
+ */
+
+/**
+ * One team's lineup in one week.
+ * @typedef {object} Lineup
+ * @property {number} roster_id
+ * @property {number|null} matchup_id
+ * @property {number} points
+ * @property {Array<object>} starters - One { slot, player_id, name, position, team, points } per starting
+ *   slot; an empty slot has a null player_id.
+ * @property {Array<object>} bench - { player_id, name, position, team, points }, highest scoring first.
+ * @property {Array<object>} optimal_starters - The best lineup the roster allowed, as { slot, player_id, name, points }.
+ * @property {number} optimal_points
+ * @property {number} points_left_on_bench - Optimal points minus the points started.
+ * @property {number|null} efficiency - Points started as a percentage of the optimal points.
+ */
+
+/**
+ * A team's coaching efficiency over the regular season.
+ * @typedef {object} CoachingTotals
+ * @property {number} weeks
+ * @property {number} points - Points started.
+ * @property {number} optimal_points
+ * @property {number} points_left_on_bench
+ * @property {number} perfect_weeks - Weeks nothing better was left on the bench.
+ * @property {number|null} efficiency - Points started as a percentage of the optimal points.
+ */
+
+/**
+ * Response of `dataType=lineups`.
+ * @typedef {object} SeasonLineups
+ * @property {string} league_id
+ * @property {string} season
+ * @property {Array<string>} starting_slots - E.g. ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX'].
+ * @property {Array<object>} teams - Each { roster_id, manager_id, owner, team_name }.
+ * @property {Array<object>} weeks - Each scored week as { week, playoffs, lineups: Array<Lineup> }.
+ * @property {Array<CoachingTotals & object>} coaching - Per team with its manager, most efficient first.
+ */
+
+/**
+ * Response of `dataType=coaching`.
+ * @typedef {object} CoachingLeaderboard
+ * @property {string} league_id
+ * @property {Array<CoachingTotals & object>} leaderboard - Per manager as { manager_id, name, ...totals,
+ *   seasons: [{ season, ...totals }] }, most efficient first.
+ * @property {Array<object>} failed_seasons - Seasons that could not be loaded and are missing.
+ */
+
+/**
+ * One manager's career totals (`dataType=alltime`).
+ * @typedef {object} CareerRow
+ * @property {string} manager_id
+ * @property {string} name
+ * @property {string|null} avatar
+ * @property {number} seasons
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties
+ * @property {number} win_pct
+ * @property {number} points_for
+ * @property {number} points_against
+ * @property {number} playoff_appearances
+ * @property {number} titles
+ * @property {number} runner_ups
+ * @property {number} last_places
+ * @property {Array<object>} eras - Points for per scoring era, oldest first; each { era, label, seasons, points_for }.
+ */
+
+/**
+ * Response of `dataType=manager`.
+ * @typedef {object} ManagerProfile
+ * @property {string} league_id
+ * @property {Manager} manager
+ * @property {Array<object>} seasons - Most recent first; each { season, league_id, status, team_name,
+ *   regular_season_rank, teams, wins, losses, ties, points_for, points_against, made_playoffs,
+ *   final_place, champion, playoff_games }.
+ * @property {Array<string>} titles - The seasons the manager won.
+ * @property {object} career - { seasons, wins, losses, ties, win_pct, points_for, points_against, playoff_appearances, titles }.
+ * @property {Array<object>} best_weeks - Highest scores first; each { season, week, playoffs, points,
+ *   opponent_id, opponent, opponent_points, result }.
+ * @property {Array<object>} worst_weeks - Lowest scores first, shaped like `best_weeks`.
+ * @property {Array<object>} opponents - Each { manager_id, name, games, wins, losses, ties, points_for, points_against }.
+ * @property {Array<object>} failed_seasons - Seasons that could not be loaded, as in LeagueHistory.
+ */
+
+/**
+ * Response of `dataType=h2h`.
+ * @typedef {object} HeadToHead
+ * @property {Array<string>} seasons
+ * @property {Array<Manager>} managers
+ * @property {Object<string, Object<string, object>>} matrix - `matrix[managerId][opponentId]` holds
+ *   { wins, losses, ties, games, points_for, points_against, biggest_win }.
+ * @property {Array<Game>} games
+ */
+
+/**
+ * Response of `dataType=records`.
+ * @typedef {object} RecordBook
+ * @property {Array<string>} seasons
+ * @property {Array<ScoringEra>} eras
+ * @property {object} records - Lists of at most ten entries each: highest_scores, lowest_scores,
+ *   biggest_blowouts, closest_games, most_points_in_loss, most_points_in_season,
+ *   longest_win_streaks and longest_loss_streaks. Every entry has the `era` it was played in;
+ *   streaks also have an `end_era`.
+ */
+
+/**
+ * Seasons played under the same scoring settings.
+ * @typedef {object} ScoringEra
+ * @property {number} era - Counts from 1, oldest first.
+ * @property {string} label - The seasons it spans, e.g. `2019-2022`.
+ * @property {Array<string>} seasons
+ * @property {string} summary - E.g. `Half PPR, 4 pt passing TD`.
+ */
+
+/**
+ * Response of `dataType=rules`.
+ * @typedef {object} LeagueRules
+ * @property {string} league_id
+ * @property {Array<object>} seasons - Most recent first; each { season, league_id, era, scoring,
+ *   roster_positions, settings, compared_to, changes }. `changes` lists { section, key, label, from, to }
+ *   against the `compared_to` season and is empty for the first season.
+ * @property {Array<ScoringEra>} eras
+ */
+
+/**
+ * Response of `dataType=draft_board`.
+ * @typedef {object} DraftBoards
+ * @property {string} league_id
+ * @property {string} season
+ * @property {Array<object>} drafts - Each { draft_id, type, status, season, rounds, slots, picks }.
+ */
+
+/**
+ * Response of `dataType=transactions`.
+ * @typedef {object} TransactionLog
+ * @property {Array<string>} seasons
+ * @property {Array<Manager>} managers
+ * @property {Array<object>} transactions - Newest first; each { transaction_id, season, week, type, created, waiver_bid, moves }.
+ * @property {object} summary - { total_transactions, trades, waivers, free_agents, total_faab_spent, most_active_trader, by_manager }.
+ */
+
+/**
+ * Response of `dataType=user_leagues`.
+ * @typedef {object} UserLeagues
+ * @property {{ user_id: string, username: string, display_name: string, avatar: string|null }} user
+ * @property {string} season
+ * @property {Array<object>} leagues - Each { league_id, name, season, status, total_rosters, avatar, previous_league_id }.
+ */
+
+export {};
@@ -0,0 +1,32 @@
+// lib/aggregators/userLeagues.js
+
+/**
+ * Looks up a Sleeper user by username and lists their NFL leagues for a season.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @param {string} username - The Sleeper username (or user ID).
+ * @param {string} season - The season to list leagues for.
+ * @returns {Promise<import('./types').UserLeagues>} - A promise that resolves to the user and their leagues.
+ */
+export async function fetchUserLeagues(client, username, season) {
+  const user = await client.getUser(username);
+  const leagues = await client.getUserLeagues(user.user_id, season);
+
+  return {
+    user: {
+      user_id: user.user_id,
+      username: user.username,
+      display_name: user.display_name || user.username,
+      avatar: user.avatar,
+    },
+    season,
+    leagues: leagues.map(league => ({
+      league_id: league.league_id,
+      name: league.name,
+      season: league.season,
+      status: league.status,
+      total_rosters: league.total_rosters,
+      avatar: league.avatar,
+      previous_league_id: league.previous_league_id,
+    })),
+  };
+}
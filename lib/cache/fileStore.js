@@ -0,0 +1,54 @@
+// lib/cache/fileStore.js
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Creates a cache store that persists entries as JSON files in a directory, so completed
+ * seasons survive server restarts. Each key is stored in its own file.
+ * @param {string} directory - The directory to keep the cache files in.
+ * @returns {object} - A cache store ({ name, get, set, delete, deleteByPrefix }).
+ */
+export function createFileStore(directory) {
+  const fileFor = (key) => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Could not read cache file for ${key}:`, error);
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(fileFor(key), JSON.stringify(entry));
+      } catch (error) {
+        // A read-only filesystem should not break the request; the memory store still helps
+        console.warn(`Could not write cache file for ${key}:`, error);
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async deleteByPrefix(prefix) {
+      let files = [];
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      await Promise.all(files
+        .filter(file => file.endsWith('.json') && decodeURIComponent(file.slice(0, -'.json'.length)).startsWith(prefix))
+        .map(file => fs.rm(path.join(directory, file), { force: true })));
+    },
+  };
+}
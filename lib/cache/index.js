@@ -0,0 +1,83 @@
+// lib/cache/index.js
+
+import os from 'os';
+import path from 'path';
+import { createMemoryStore } from './memoryStore';
+import { createFileStore } from './fileStore';
+
+/**
+ * Layered cache.
+ *
+ * A store is any object with async `get(key)`, `set(key, entry)`, `delete(key)` and
+ * `deleteByPrefix(prefix)` methods that saves the entry objects it is given. The memory and
+ * file stores ship with the app; a KV-backed store only needs to implement the same methods.
+ *
+ * Stores are checked fastest first, and a hit in a slower store is copied into the faster
+ * ones. Entries are saved as { value, storedAt, expiresAt }, where an `expiresAt` of null
+ * never expires. Expired entries are deleted from a store when they are read.
+ */
+
+/**
+ * Creates a cache over the given stores.
+ * @param {Array<object>} stores - The stores to use, fastest first.
+ * @returns {object} - The cache ({ get, set, delete, deleteByPrefix }).
+ */
+export function createCache(stores) {
+  const isFresh = (entry) => entry && (entry.expiresAt === null || entry.expiresAt > Date.now());
+
+  return {
+    /**
+     * Reads a value from the first store that has a fresh copy, deleting expired copies on the way.
+     * @param {string} key - The cache key.
+     * @returns {Promise<*>} - The cached value, or undefined on a miss.
+     */
+    async get(key) {
+      for (let i = 0; i < stores.length; i++) {
+        const entry = await stores[i].get(key);
+        if (isFresh(entry)) {
+          await Promise.all(stores.slice(0, i).map(store => store.set(key, entry)));
+          return entry.value;
+        }
+        // Drop expired entries when they are found, so the stores do not grow without limit
+        if (entry) await stores[i].delete(key);
+      }
+      return undefined;
+    },
+
+    /**
+     * Writes a value to every store.
+     * @param {string} key - The cache key.
+     * @param {*} value - The JSON-serialisable value to cache.
+     * @param {object} [options]
+     * @param {number|null} [options.ttl=null] - Time to live in milliseconds; null keeps the value forever.
+     */
+    async set(key, value, { ttl = null } = {}) {
+      const storedAt = Date.now();
+      const entry = { value, storedAt, expiresAt: ttl === null ? null : storedAt + ttl };
+      await Promise.all(stores.map(store => store.set(key, entry)));
+    },
+
+    async delete(key) {
+      await Promise.all(stores.map(store => store.delete(key)));
+    },
+
+    async deleteByPrefix(prefix) {
+      await Promise.all(stores.map(store => store.deleteByPrefix(prefix)));
+    },
+  };
+}
+
+/**
+ * Returns the app-wide cache: memory in front of files in `SLEEPER_CACHE_DIR`
+ * (defaulting to `.cache/sleeper`, or the temp directory on Vercel's read-only filesystem).
+ * The instance is kept on `globalThis` so it survives hot reloads in development.
+ * @returns {object} - The shared cache.
+ */
+export function getDefaultCache() {
+  if (!globalThis.__sleeperCache) {
+    const directory = process.env.SLEEPER_CACHE_DIR
+      || (process.env.VERCEL ? path.join(os.tmpdir(), 'sleeper-cache') : path.join(process.cwd(), '.cache', 'sleeper'));
+    globalThis.__sleeperCache = createCache([createMemoryStore(), createFileStore(directory)]);
+  }
+  return globalThis.__sleeperCache;
+}
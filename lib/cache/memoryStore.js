@@ -0,0 +1,32 @@
+// lib/cache/memoryStore.js
+
+/**
+ * Creates a cache store that keeps entries in the memory of the running server.
+ * Entries are lost when the server restarts or a serverless instance is recycled.
+ * @returns {object} - A cache store ({ name, get, set, delete, deleteByPrefix }).
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deleteByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+  };
+}
@@ -0,0 +1,238 @@
+// lib/dataTypes.js
+
+import { clearLeagueCache, clearUserCache } from './sleeperFetch';
+import { getPlayerDirectory, refreshPlayerDirectory } from './players';
+import { fetchStandings } from './aggregators/standings';
+import { fetchLeagueHistory } from './aggregators/history';
+import { fetchLeagueSnapshot } from './aggregators/snapshot';
+import { fetchAllTimeLeaderboard } from './aggregators/allTime';
+import { fetchHeadToHead } from './aggregators/headToHead';
+import { fetchRecordBook } from './aggregators/records';
+import { fetchDraftBoards } from './aggregators/drafts';
+import { fetchTransactionLog } from './aggregators/transactions';
+import { fetchUserLeagues } from './aggregators/userLeagues';
+import { fetchLeagueArchive } from './aggregators/archive';
+import { fetchPowerRankings } from './aggregators/powerRankings';
+import { fetchManagerProfile } from './aggregators/manager';
+import { fetchPlayoffBracket } from './aggregators/bracket';
+import { fetchLeagueRules } from './aggregators/rules';
+import { fetchCoachingLeaderboard, fetchSeasonLineups } from './aggregators/lineups';
+import { buildArchiveExport, buildCsvExport, CSV_TABLES } from './exports';
+
+/**
+ * Every `dataType` served by /api/league-data. Adding a data type only takes an entry here:
+ * - `params`: query parameters that must be present; the router answers 400 without them.
+ * - `choices`: the allowed values of parameters that only take a few, also checked by the router.
+ * - `description`: what is being fetched, for validation errors and logs.
+ * - `refresh(query)`: drops the cached Sleeper data behind the response when `refresh=1` is passed.
+ * - `run(client, query, options)`: resolves to the response body; `options.refresh` is true on a refresh.
+ * - `download`: `run` resolves to a file ({ filename, content_type, body }) that is sent as an
+ *   attachment instead of JSON.
+ */
+export const DATA_TYPES = {
+  league: {
+    params: ['leagueId'],
+    description: 'league',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => client.getLeague(leagueId),
+  },
+  users: {
+    params: ['leagueId'],
+    description: 'users',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => client.getUsers(leagueId),
+  },
+  rosters: {
+    params: ['leagueId'],
+    description: 'rosters',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => client.getRosters(leagueId),
+  },
+  matchups: {
+    params: ['leagueId', 'week', 'season'],
+    description: 'matchups',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId, week }) => client.getMatchups(leagueId, week),
+  },
+  drafts: {
+    params: ['leagueId'],
+    description: 'drafts',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => client.getDrafts(leagueId),
+  },
+  // Every pick of the league's drafts laid out as a round-by-slot board
+  draft_board: {
+    params: ['leagueId'],
+    description: 'draft board',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchDraftBoards(client, leagueId),
+  },
+  // Every trade, waiver claim and free-agent move of every season
+  transactions: {
+    params: ['leagueId'],
+    description: 'transactions',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchTransactionLog(client, leagueId),
+  },
+  // Scoring, roster slots and settings of every season, with what changed each year
+  rules: {
+    params: ['leagueId'],
+    description: 'league rules',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchLeagueRules(client, leagueId),
+  },
+  // Records dug out of every game of every season
+  records: {
+    params: ['leagueId'],
+    description: 'record book',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchRecordBook(client, leagueId),
+  },
+  // League, users and rosters aggregated into one season's standings
+  standings: {
+    params: ['leagueId', 'season'],
+    description: 'standings',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId, season }) => fetchStandings(client, leagueId, season),
+  },
+  // All-play records, luck and power ranks of one season, week by week
+  power_rankings: {
+    params: ['leagueId'],
+    description: 'power rankings',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchPowerRankings(client, leagueId),
+  },
+  // Winners and losers brackets of one season, with seeds, scores and placements
+  bracket: {
+    params: ['leagueId'],
+    description: 'playoff bracket',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchPlayoffBracket(client, leagueId),
+  },
+  // Starters, bench and optimal lineup of every team in every scored week of one season
+  lineups: {
+    params: ['leagueId'],
+    description: 'lineups',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchSeasonLineups(client, leagueId),
+  },
+  // Champions and final placements of every season
+  champions: {
+    params: ['leagueId'],
+    description: 'champions history',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchLeagueHistory(client, leagueId),
+  },
+  // Champions, standings and managers of every season in one payload for the league page
+  snapshot: {
+    params: ['leagueId'],
+    description: 'league snapshot',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchLeagueSnapshot(client, leagueId),
+  },
+  // Points left on the bench per manager, season by season and all-time
+  coaching: {
+    params: ['leagueId'],
+    description: 'coaching efficiency leaderboard',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchCoachingLeaderboard(client, leagueId),
+  },
+  // Every season's standings added up into career totals per manager
+  alltime: {
+    params: ['leagueId'],
+    description: 'all-time leaderboard',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchAllTimeLeaderboard(client, leagueId),
+  },
+  // Every game of every season aggregated into all-time head-to-head records
+  h2h: {
+    params: ['leagueId'],
+    description: 'head-to-head records',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId }) => fetchHeadToHead(client, leagueId),
+  },
+  // One table of every season as a spreadsheet
+  export_csv: {
+    params: ['leagueId', 'table'],
+    choices: { table: Object.keys(CSV_TABLES) },
+    description: 'CSV export',
+    download: true,
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: async (client, { leagueId, table }) => buildCsvExport(await fetchLeagueArchive(client, leagueId), table),
+  },
+  // The whole lineage, raw Sleeper data included, as a versioned JSON backup
+  archive: {
+    params: ['leagueId'],
+    description: 'league archive',
+    download: true,
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: async (client, { leagueId }) => buildArchiveExport(await fetchLeagueArchive(client, leagueId)),
+  },
+  // One manager's career in the league
+  manager: {
+    params: ['leagueId', 'managerId'],
+    description: 'manager profile',
+    refresh: ({ leagueId }) => clearLeagueCache(leagueId),
+    run: (client, { leagueId, managerId }) => fetchManagerProfile(client, leagueId, managerId),
+  },
+  // Looking up a user's leagues is keyed on the username rather than a league ID
+  user_leagues: {
+    params: ['username', 'season'],
+    description: 'user leagues',
+    refresh: ({ username }) => clearUserCache(username),
+    run: (client, { username, season }) => fetchUserLeagues(client, username, season),
+  },
+  // The player dictionary is not tied to a league; it is only re-downloaded when asked to,
+  // and at most once a day (a refresh within a day answers with the stored copy)
+  players: {
+    params: [],
+    description: 'player dictionary',
+    run: async (client, query, { refresh }) => {
+      const directory = refresh ? await refreshPlayerDirectory(client) : await getPlayerDirectory(client);
+      return { player_count: Object.keys(directory.players).length, updated_at: directory.updated_at };
+    },
+  },
+};
+
+// Sleeper league IDs are numeric; anything else never reaches Sleeper paths or file names
+const LEAGUE_ID_PATTERN = /^\d+$/;
+
+// How each query parameter is named in validation errors
+const PARAM_LABELS = {
+  leagueId: 'League ID',
+  managerId: 'manager ID',
+  week: 'week',
+  season: 'season',
+  username: 'username',
+  table: 'table',
+};
+
+/**
+ * Checks that a query has every parameter its data type needs, and a numeric league ID.
+ * @param {object} dataType - The entry from DATA_TYPES.
+ * @param {object} query - The request's query parameters.
+ * @returns {string|null} - The validation error, or null if the query is valid.
+ */
+export function validateParams(dataType, query) {
+  // Every league-scoped data type needs the league first
+  if (dataType.params.includes('leagueId') && !query.leagueId) {
+    return 'League ID is required.';
+  }
+  if (dataType.params.includes('leagueId') && !LEAGUE_ID_PATTERN.test(query.leagueId)) {
+    return 'League ID must be a number, e.g. 1181984921049018368.';
+  }
+
+  const missing = dataType.params.filter(param => param !== 'leagueId' && !query[param]);
+  if (missing.length > 0) {
+    const labels = missing.map(param => PARAM_LABELS[param] || param).join(' and ');
+    const verb = missing.length > 1 ? 'are' : 'is';
+    return `${labels.charAt(0).toUpperCase()}${labels.slice(1)} ${verb} required for ${dataType.description}.`;
+  }
+
+  const invalid = Object.keys(dataType.choices || {}).find(param => !dataType.choices[param].includes(query[param]));
+  if (invalid) {
+    const label = PARAM_LABELS[invalid] || invalid;
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)} must be one of: ${dataType.choices[invalid].join(', ')}.`;
+  }
+  return null;
+}
@@ -0,0 +1,119 @@
+// lib/exports.js
+
+import { listArchivedMatchups } from './aggregators/archive';
+
+/**
+ * Formats one CSV field. Fields with commas, quotes or line breaks are quoted, and text that a
+ * spreadsheet would run as a formula (starting with =, +, - or @) is prefixed with a quote.
+ * @param {*} value - The value; null and undefined become an empty field.
+ * @returns {string} - The CSV field.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document with a header row.
+ * @param {Array<{ header: string, value: function(object): * }>} columns - The columns, in order.
+ * @param {Array<object>} rows - The rows.
+ * @returns {string} - The CSV document, lines separated by CRLF.
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => toCsvField(column.header)),
+    ...rows.map(row => columns.map(column => toCsvField(column.value(row)))),
+  ];
+  return `${lines.map(line => line.join(',')).join('\r\n')}\r\n`;
+}
+
+const round = (value, digits) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * The tables that can be exported as CSV. Each one reads its rows from a league archive
+ * (see fetchLeagueArchive in lib/aggregators/archive.js).
+ */
+export const CSV_TABLES = {
+  champions: {
+    rows: (archive) => archive.seasons.map(season => season.history),
+    columns: [
+      { header: 'Season', value: entry => entry.season },
+      { header: 'League ID', value: entry => entry.league_id },
+      { header: 'League Name', value: entry => entry.name },
+      { header: 'Status', value: entry => entry.status },
+      { header: 'Champion', value: entry => entry.champion },
+      { header: 'Runner-Up', value: entry => entry.runner_up },
+      { header: 'Third Place', value: entry => entry.third_place },
+      { header: 'Regular Season Leader', value: entry => entry.regular_season_leader },
+      { header: 'Champion Points', value: entry => entry.championship_score?.winner_points },
+      { header: 'Runner-Up Points', value: entry => entry.championship_score?.loser_points },
+      { header: 'Champion Source', value: entry => entry.champion_source },
+    ],
+  },
+  standings: {
+    rows: (archive) => archive.seasons.flatMap(({ season, standings }) => standings.map((row, index) => ({ season, rank: index + 1, ...row }))),
+    columns: [
+      { header: 'Season', value: row => row.season },
+      { header: 'Rank', value: row => row.rank },
+      { header: 'Roster ID', value: row => row.roster_id },
+      { header: 'Manager ID', value: row => row.manager_id },
+      { header: 'Owner', value: row => row.owner },
+      { header: 'Team Name', value: row => row.team_name },
+      { header: 'Wins', value: row => row.wins },
+      { header: 'Losses', value: row => row.losses },
+      { header: 'Ties', value: row => row.ties },
+      { header: 'Win %', value: row => round(row.win_pct * 100, 1) },
+      { header: 'Points For', value: row => row.total_points },
+      { header: 'Points Against', value: row => row.points_against },
+      { header: 'Max Points', value: row => row.max_points },
+      { header: 'Efficiency', value: row => row.efficiency },
+    ],
+  },
+  matchups: {
+    rows: listArchivedMatchups,
+    columns: [
+      { header: 'Season', value: row => row.season },
+      { header: 'Week', value: row => row.week },
+      { header: 'Playoffs', value: row => (row.playoffs ? 'yes' : 'no') },
+      { header: 'Matchup ID', value: row => row.matchup_id },
+      { header: 'Roster ID', value: row => row.roster_id },
+      { header: 'Manager ID', value: row => row.manager_id },
+      { header: 'Owner', value: row => row.owner },
+      { header: 'Team Name', value: row => row.team_name },
+      { header: 'Points', value: row => round(row.points, 2) },
+      { header: 'Opponent', value: row => row.opponent },
+      { header: 'Opponent Points', value: row => round(row.opponent_points, 2) },
+      { header: 'Result', value: row => row.result },
+    ],
+  },
+};
+
+/**
+ * Builds the CSV download of one table of a league archive.
+ * @param {import('./aggregators/types').LeagueArchive} archive - The archive from fetchLeagueArchive.
+ * @param {string} table - A key of CSV_TABLES.
+ * @returns {import('./aggregators/types').FileDownload} - The file to send.
+ */
+export function buildCsvExport(archive, table) {
+  const { columns, rows } = CSV_TABLES[table];
+  return {
+    filename: `league-${archive.league_id}-${table}.csv`,
+    content_type: 'text/csv; charset=utf-8',
+    body: toCsv(columns, rows(archive)),
+  };
+}
+
+/**
+ * Builds the JSON download of a whole league archive.
+ * @param {import('./aggregators/types').LeagueArchive} archive - The archive from fetchLeagueArchive.
+ * @returns {import('./aggregators/types').FileDownload} - The file to send.
+ */
+export function buildArchiveExport(archive) {
+  return {
+    filename: `league-${archive.league_id}-archive-v${archive.version}.json`,
+    content_type: 'application/json; charset=utf-8',
+    body: JSON.stringify(archive, null, 2),
+  };
+}
@@ -0,0 +1,29 @@
+// lib/format.js
+
+/**
+ * Rounds points to hundredths, as Sleeper reports them, dropping floating point noise from sums.
+ * @param {number} value - The points.
+ * @returns {number} - The rounded points.
+ */
+export function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Formats a record as W-L, or W-L-T when there were ties.
+ * @param {object} record - { wins, losses, ties }.
+ * @returns {string} - The record, e.g. "9-5" or "8-5-1".
+ */
+export function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+/**
+ * Formats a place as an English ordinal: 1 -> 1st, 2 -> 2nd, 3 -> 3rd, 11 -> 11th, ...
+ * @param {number} n - The place.
+ * @returns {string} - The ordinal.
+ */
+export function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
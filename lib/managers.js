@@ -0,0 +1,164 @@
+// lib/managers.js
+
+import managerConfig from '../config/managers.json';
+
+// Base URL for Sleeper's avatar thumbnails
+const SLEEPER_AVATAR_BASE_URL = 'https://sleepercdn.com/avatars/thumbs';
+
+/**
+ * Manager identity layer.
+ *
+ * Sleeper identifies people by `user_id`, which survives display name changes, so
+ * managers are keyed on it. `config/managers.json` can merge several user IDs into one
+ * manager (e.g. someone who re-joined with a new account) and pin the name shown for them:
+ *
+ *   {
+ *     "managers": [
+ *       { "user_ids": ["470000000000000000", "860000000000000000"], "name": "Mike" }
+ *     ]
+ *   }
+ *
+ * The first user ID in `user_ids` becomes the manager ID for all of them.
+ */
+
+/**
+ * Builds the lookup of user ID to configured manager entry.
+ * @param {object} config - The parsed manager config.
+ * @returns {Map<string, object>} - Map of user ID to { manager_id, name }.
+ */
+function buildConfigLookup(config) {
+  const lookup = new Map();
+  (config?.managers || []).forEach(entry => {
+    const userIds = (entry.user_ids || []).map(String);
+    if (userIds.length === 0) return;
+    userIds.forEach(userId => lookup.set(userId, { manager_id: userIds[0], name: entry.name || null }));
+  });
+  return lookup;
+}
+
+const configLookup = buildConfigLookup(managerConfig);
+
+/**
+ * Resolves a Sleeper user ID to its stable manager ID, applying configured merges.
+ * @param {string|null} userId - The Sleeper user ID.
+ * @returns {string|null} - The manager ID, or null for an empty user ID.
+ */
+export function resolveManagerId(userId) {
+  if (!userId) return null;
+  return configLookup.get(String(userId))?.manager_id || String(userId);
+}
+
+/**
+ * Returns the configured name for a manager, if one was pinned in the config.
+ * @param {string} managerId - The manager ID.
+ * @returns {string|null} - The configured name, or null.
+ */
+function getConfiguredName(managerId) {
+  return configLookup.get(managerId)?.name || null;
+}
+
+/**
+ * Returns the avatar URL for a Sleeper user, preferring a league-specific team avatar.
+ * @param {object} user - The Sleeper user object.
+ * @returns {string|null} - The avatar URL, or null if the user has none.
+ */
+export function getAvatarUrl(user) {
+  if (!user) return null;
+  if (user.metadata?.avatar) return user.metadata.avatar;
+  return user.avatar ? `${SLEEPER_AVATAR_BASE_URL}/${user.avatar}` : null;
+}
+
+/**
+ * Builds a directory of a season's users keyed by user ID.
+ * @param {Array<object>} users - The league's users.
+ * @returns {Map<string, object>} - Map of user ID to { manager_id, user_id, name, team_name, avatar }.
+ */
+export function buildUserDirectory(users) {
+  return new Map((users || []).map(user => {
+    const managerId = resolveManagerId(user.user_id);
+    return [user.user_id, {
+      manager_id: managerId,
+      user_id: user.user_id,
+      name: getConfiguredName(managerId) || user.display_name || user.username || 'Unknown Owner',
+      team_name: user.metadata?.team_name || null,
+      avatar: getAvatarUrl(user),
+    }];
+  }));
+}
+
+/**
+ * Describes who manages a roster in a season, including its co-owners.
+ * Orphaned rosters without an owner fall back to their first co-owner.
+ * @param {object} roster - The Sleeper roster object.
+ * @param {Map<string, object>} directory - The season's user directory from buildUserDirectory.
+ * @returns {object} - { manager_id, owner, team_name, avatar, co_owners: [{ manager_id, owner }] }.
+ */
+export function describeRosterManager(roster, directory) {
+  const coOwnerIds = roster?.co_owners || [];
+  const ownerId = roster?.owner_id || coOwnerIds[0] || null;
+  const owner = ownerId ? directory.get(ownerId) : null;
+
+  return {
+    manager_id: owner ? owner.manager_id : resolveManagerId(ownerId),
+    owner: owner ? owner.name : 'Unknown Owner',
+    team_name: owner ? owner.team_name : null,
+    avatar: owner ? owner.avatar : null,
+    co_owners: coOwnerIds
+      .filter(userId => userId !== ownerId)
+      .map(userId => ({
+        manager_id: resolveManagerId(userId),
+        owner: directory.get(userId)?.name || 'Unknown Owner',
+      })),
+  };
+}
+
+/**
+ * Creates a registry that collects managers across seasons.
+ * Seasons should be added newest first so each manager keeps their current name and avatar.
+ * @returns {object} - { addSeason(season, users, rosters), get(managerId), list() }.
+ */
+export function createManagerRegistry() {
+  const managers = new Map();
+
+  return {
+    /**
+     * Records the managers of every roster in a season.
+     * @param {string} season - The season.
+     * @param {Array<object>} users - The season's users.
+     * @param {Array<object>} rosters - The season's rosters.
+     * @returns {Map<number, object>} - Map of roster ID to the roster's manager description.
+     */
+    addSeason(season, users, rosters) {
+      const directory = buildUserDirectory(users);
+      const rosterManagers = new Map();
+
+      (rosters || []).forEach(roster => {
+        const manager = describeRosterManager(roster, directory);
+        rosterManagers.set(roster.roster_id, manager);
+        if (!manager.manager_id) return;
+
+        if (!managers.has(manager.manager_id)) {
+          managers.set(manager.manager_id, {
+            manager_id: manager.manager_id,
+            name: manager.owner,
+            avatar: manager.avatar,
+            team_names: [],
+          });
+        }
+        const entry = managers.get(manager.manager_id);
+        if (!entry.avatar && manager.avatar) entry.avatar = manager.avatar;
+        if (manager.team_name) entry.team_names.push({ season, team_name: manager.team_name });
+      });
+
+      return rosterManagers;
+    },
+
+    get(managerId) {
+      return managers.get(managerId) || null;
+    },
+
+    list() {
+      return Array.from(managers.values()).sort((a, b) => a.name.localeCompare(b.name));
+    },
+  };
+}
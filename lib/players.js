@@ -0,0 +1,79 @@
+// lib/players.js
+
+import { getDefaultCache } from './cache';
+
+// Cache key for the trimmed player dictionary
+const PLAYERS_CACHE_KEY = 'players:nfl';
+
+// Sleeper asks that the player dictionary is downloaded at most once a day
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Dictionaries of clients with an injected fetcher, e.g. built from a fixture's few players
+const clientDirectories = new WeakMap();
+
+/**
+ * Trims Sleeper's player dictionary down to what the app displays.
+ * The full `/players/nfl` response is several megabytes, mostly fields we never show.
+ * @param {object} players - Sleeper's player dictionary, keyed by player ID.
+ * @returns {object} - Map of player ID to { name, position, fantasy_positions, team }.
+ */
+function trimPlayers(players) {
+  const trimmed = {};
+  Object.entries(players || {}).forEach(([playerId, player]) => {
+    trimmed[playerId] = {
+      // Team defenses have no full name; their player ID is the team abbreviation
+      name: player.full_name || [player.first_name, player.last_name].filter(Boolean).join(' ') || playerId,
+      position: player.position || (player.fantasy_positions && player.fantasy_positions[0]) || null,
+      // Every position the player can be started at, e.g. ['RB', 'WR']
+      fantasy_positions: player.fantasy_positions || (player.position ? [player.position] : []),
+      team: player.team || null,
+    };
+  });
+  return trimmed;
+}
+
+/**
+ * Reads the stored player dictionary of a client: the shared cache for live clients, or the
+ * client's own copy when its fetcher was injected.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @returns {Promise<object|null>} - A promise that resolves to { players, updated_at }, or null if none is stored.
+ */
+async function readPlayerDirectory(client) {
+  if (!client.usesSharedCache) return clientDirectories.get(client) || null;
+  return (await getDefaultCache().get(PLAYERS_CACHE_KEY)) || null;
+}
+
+/**
+ * Downloads Sleeper's player dictionary and stores the trimmed copy permanently.
+ * Sleeper asks that this endpoint is called at most once a day, so it only runs when
+ * there is no cached copy or a refresh is explicitly requested, and a copy less than a day
+ * old is returned instead of downloading it again.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @returns {Promise<object>} - A promise that resolves to { players, updated_at }.
+ */
+export async function refreshPlayerDirectory(client) {
+  const stored = await readPlayerDirectory(client);
+  if (stored && Date.now() - Date.parse(stored.updated_at) < REFRESH_INTERVAL_MS) {
+    console.log(`Keeping the player dictionary from ${stored.updated_at}; it is refreshed at most once a day`);
+    return stored;
+  }
+
+  console.log('Downloading the Sleeper player dictionary');
+  const directory = { players: trimPlayers(await client.getPlayers()), updated_at: new Date().toISOString() };
+  if (client.usesSharedCache) {
+    await getDefaultCache().set(PLAYERS_CACHE_KEY, directory);
+  } else {
+    clientDirectories.set(client, directory);
+  }
+  console.log(`Cached ${Object.keys(directory.players).length} players`);
+  return directory;
+}
+
+/**
+ * Returns the cached player dictionary, downloading it only if it has never been cached.
+ * @param {object} client - The Sleeper client from createSleeperClient.
+ * @returns {Promise<object>} - A promise that resolves to { players, updated_at }.
+ */
+export async function getPlayerDirectory(client) {
+  return (await readPlayerDirectory(client)) || refreshPlayerDirectory(client);
+}
@@ -0,0 +1,57 @@
+// lib/recentLeagues.js
+
+// localStorage key holding the recently viewed leagues
+const STORAGE_KEY = 'recentLeagues';
+
+// Maximum number of leagues to remember
+const MAX_RECENT_LEAGUES = 8;
+
+/**
+ * Reads the recently viewed leagues from the browser, most recent first.
+ * Returns an empty list on the server or when storage is unavailable.
+ * @returns {Array<object>} - The remembered leagues ({ league_id, name, season, viewed_at }).
+ */
+export function getRecentLeagues() {
+  if (typeof window === 'undefined') return [];
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read recently viewed leagues:', error);
+    return [];
+  }
+}
+
+/**
+ * Remembers a league as the most recently viewed one.
+ * @param {object} league - The league to remember.
+ * @param {string} league.league_id - The Sleeper league ID.
+ * @param {string} league.name - The league name.
+ * @param {string} league.season - The league's most recent season.
+ */
+export function rememberLeague({ league_id, name, season }) {
+  if (typeof window === 'undefined' || !league_id) return;
+  const recent = getRecentLeagues().filter(entry => entry.league_id !== league_id);
+  recent.unshift({ league_id, name, season, viewed_at: Date.now() });
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_LEAGUES)));
+  } catch (error) {
+    console.warn('Could not save recently viewed league:', error);
+  }
+}
+
+/**
+ * Removes a league from the recently viewed list.
+ * @param {string} leagueId - The Sleeper league ID to forget.
+ * @returns {Array<object>} - The remaining remembered leagues.
+ */
+export function forgetLeague(leagueId) {
+  if (typeof window === 'undefined') return [];
+  const recent = getRecentLeagues().filter(entry => entry.league_id !== leagueId);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.warn('Could not update recently viewed leagues:', error);
+  }
+  return recent;
+}
@@ -0,0 +1,27 @@
+// lib/seasons.js
+
+// First season Sleeper hosted fantasy football leagues
+export const FIRST_SLEEPER_SEASON = 2017;
+
+/**
+ * Returns the NFL season currently being played or about to start.
+ * Sleeper rolls leagues over to the new season in the spring, so any date from
+ * February onwards counts as the new calendar year's season.
+ * @param {Date} [date=new Date()] - The date to resolve the season for.
+ * @returns {number} - The season year.
+ */
+export function getCurrentSeason(date = new Date()) {
+  return date.getMonth() >= 1 ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+/**
+ * Lists every season from the current one back to Sleeper's first, most recent first.
+ * @returns {Array<number>} - The selectable seasons.
+ */
+export function getSeasonOptions() {
+  const seasons = [];
+  for (let season = getCurrentSeason(); season >= FIRST_SLEEPER_SEASON; season--) {
+    seasons.push(season);
+  }
+  return seasons;
+}
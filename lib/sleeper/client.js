@@ -0,0 +1,142 @@
+// lib/sleeper/client.js
+
+import { sleeperFetch } from '../sleeperFetch';
+import { getDefaultScheduler } from './scheduler';
+
+// Base URL for the Sleeper API
+export const SLEEPER_API_BASE_URL = 'https://api.sleeper.app/v1';
+
+/**
+ * Error thrown when the Sleeper API cannot answer a request.
+ * `status` is the upstream HTTP status, or null when Sleeper could not be reached at all.
+ */
+export class SleeperApiError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'SleeperApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a client for the Sleeper API. Requests go through the response cache
+ * (lib/sleeperFetch.js) unless a fetcher is injected, reach Sleeper through the request
+ * scheduler (lib/sleeper/scheduler.js) and fail with a SleeperApiError, so aggregators never
+ * deal with raw responses.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - The base URL for the Sleeper API. Defaults to the
+ *   `SLEEPER_API_BASE_URL` environment variable, then the live API.
+ * @param {function(string): Promise<object>} [options.fetcher] - Fetches a URL and resolves to a
+ *   response-like object ({ ok, status, statusText, json() }), e.g. a fixture fetcher from
+ *   lib/sleeper/fixtures.js. Replaces both the cache and the network.
+ * @param {object} [options.scheduler] - The request scheduler; defaults to the one shared by the process.
+ * @returns {object} - The client.
+ */
+export function createSleeperClient({
+  baseUrl = process.env.SLEEPER_API_BASE_URL || SLEEPER_API_BASE_URL,
+  fetcher = null,
+  scheduler = getDefaultScheduler(),
+} = {}) {
+  const scheduledFetch = (url) => scheduler.fetch(url, fetcher || fetch);
+
+  /**
+   * Fetches a Sleeper API path and parses the JSON body.
+   * @param {string} path - The API path, e.g. `/league/123/rosters`.
+   * @param {object} options
+   * @param {string} options.label - What is being fetched, for error messages.
+   * @param {boolean} [options.allowNotFound=false] - Resolve a 404 to null instead of throwing.
+   * @param {boolean} [options.cache=true] - Go through the response cache (when no fetcher is injected).
+   * @returns {Promise<*>} - A promise that resolves to the parsed body.
+   */
+  async function request(path, { label, allowNotFound = false, cache = true }) {
+    const url = `${baseUrl}${path}`;
+    let res;
+    try {
+      res = cache && !fetcher ? await sleeperFetch(url, scheduledFetch) : await scheduledFetch(url);
+    } catch (error) {
+      throw new SleeperApiError(`Could not reach the Sleeper API (${label}): ${error.message}`);
+    }
+
+    if (!res.ok) {
+      if (allowNotFound && res.status === 404) return null;
+      throw new SleeperApiError(`Sleeper API error (${label}): ${res.statusText} (Status: ${res.status})`, res.status);
+    }
+    return res.json();
+  }
+
+  return {
+    baseUrl,
+    request,
+    // False when a fetcher is injected: its data (e.g. a fixture subset) stays out of the shared cache
+    usesSharedCache: !fetcher,
+
+    /**
+     * Fetches a league. Unknown league IDs (a 404 or, as Sleeper usually answers, a `null`
+     * body) are reported as a 404.
+     */
+    async getLeague(leagueId) {
+      const league = await request(`/league/${encodeURIComponent(leagueId)}`, { label: `league ${leagueId}`, allowNotFound: true });
+      if (!league) throw new SleeperApiError(`League ${leagueId} was not found.`, 404);
+      return league;
+    },
+
+    async getRosters(leagueId) {
+      return (await request(`/league/${encodeURIComponent(leagueId)}/rosters`, { label: `rosters for ${leagueId}` })) || [];
+    },
+
+    async getUsers(leagueId) {
+      return (await request(`/league/${encodeURIComponent(leagueId)}/users`, { label: `users for ${leagueId}` })) || [];
+    },
+
+    async getMatchups(leagueId, week) {
+      return (await request(`/league/${encodeURIComponent(leagueId)}/matchups/${encodeURIComponent(week)}`, { label: `matchups for ${leagueId} week ${week}` })) || [];
+    },
+
+    /**
+     * Fetches a playoff bracket; `bracketType` is 'winners_bracket' or 'losers_bracket'.
+     * A season that never reached the playoffs resolves to an empty array.
+     */
+    async getBracket(leagueId, bracketType) {
+      const bracket = await request(`/league/${encodeURIComponent(leagueId)}/${encodeURIComponent(bracketType)}`, { label: `${bracketType} for ${leagueId}`, allowNotFound: true });
+      return Array.isArray(bracket) ? bracket : [];
+    },
+
+    async getTransactions(leagueId, week) {
+      return (await request(`/league/${encodeURIComponent(leagueId)}/transactions/${encodeURIComponent(week)}`, { label: `transactions for ${leagueId} week ${week}` })) || [];
+    },
+
+    async getDrafts(leagueId) {
+      return (await request(`/league/${encodeURIComponent(leagueId)}/drafts`, { label: `drafts for ${leagueId}` })) || [];
+    },
+
+    async getDraft(draftId) {
+      return request(`/draft/${encodeURIComponent(draftId)}`, { label: `draft ${draftId}` });
+    },
+
+    async getDraftPicks(draftId) {
+      return (await request(`/draft/${encodeURIComponent(draftId)}/picks`, { label: `picks for draft ${draftId}` })) || [];
+    },
+
+    /**
+     * Looks up a user by username or user ID. Unknown usernames (a 404 or, as Sleeper usually
+     * answers, a `null` body) are reported as a 404.
+     */
+    async getUser(username) {
+      const user = await request(`/user/${encodeURIComponent(username)}`, { label: `user ${username}`, allowNotFound: true });
+      if (!user || !user.user_id) throw new SleeperApiError(`Sleeper user "${username}" was not found.`, 404);
+      return user;
+    },
+
+    async getUserLeagues(userId, season) {
+      return (await request(`/user/${encodeURIComponent(userId)}/leagues/nfl/${encodeURIComponent(season)}`, { label: `leagues for user ${userId}` })) || [];
+    },
+
+    /**
+     * Downloads the full NFL player dictionary. It is several megabytes, so it bypasses the
+     * response cache; lib/players.js keeps a trimmed copy instead.
+     */
+    async getPlayers() {
+      return request('/players/nfl', { label: 'players', cache: false });
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// lib/sleeper/fixtures.js
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Creates a fetcher for createSleeperClient that answers from recorded Sleeper responses
+ * instead of the network. Paths missing from the fixture answer with a 404, like Sleeper
+ * does for endpoints that have nothing to return.
+ * @param {object} fixture - A fixture as written by scripts/recordFixtures.mjs ({ league_id, responses }).
+ * @returns {function(string): Promise<object>} - The fetcher.
+ */
+export function createFixtureFetcher(fixture) {
+  const responses = fixture.responses || {};
+
+  return async (url) => {
+    const apiPath = new URL(url).pathname.replace(/^\/v1/, '');
+    if (!Object.prototype.hasOwnProperty.call(responses, apiPath)) {
+      return { ok: false, status: 404, statusText: 'Not Found', json: async () => null };
+    }
+    // Hand out copies so callers cannot change the fixture between requests
+    const body = JSON.stringify(responses[apiPath]);
+    return { ok: true, status: 200, statusText: 'OK', json: async () => JSON.parse(body) };
+  };
+}
+
+/**
+ * Reads a fixture file and creates a fetcher for it. Used for the offline mode
+ * (`SLEEPER_FIXTURES=fixtures/sleeper-lineage.json next dev`).
+ * @param {string} file - Path to the fixture file, relative to the working directory.
+ * @returns {function(string): Promise<object>} - The fetcher.
+ */
+export function loadFixtureFetcher(file) {
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  console.log(`Serving Sleeper data from fixture ${file}`);
+  return createFixtureFetcher(fixture);
+}
@@ -0,0 +1,178 @@
+// lib/sleeper/scheduler.js
+
+// Upstream requests allowed at the same time, across all API requests of the process
+export const DEFAULT_CONCURRENCY = 6;
+
+// Retries after the first attempt, and the delay before the first retry (doubled for each next one)
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Longest `Retry-After` worth waiting for; a longer one would outlast the API request itself
+export const DEFAULT_MAX_RETRY_AFTER_MS = 10000;
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed attempt is worth retrying: network errors, rate limiting and server errors.
+ * @param {object|null} res - The response, or null if the request threw.
+ * @returns {boolean}
+ */
+function isRetryable(res) {
+  return !res || res.status === 429 || res.status >= 500;
+}
+
+/**
+ * Reads a `Retry-After` header given in seconds.
+ * @param {object|null} res - The response.
+ * @returns {number|null} - The delay in milliseconds, or null if there is none.
+ */
+function retryAfterMs(res) {
+  const header = res?.headers?.get?.('retry-after');
+  const seconds = header ? Number(header) : NaN;
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Reads a response body once so it can be handed to every caller that asked for the same URL.
+ * When the request was shared, the first caller gets the parsed body and later callers a copy
+ * taken before anyone could change it.
+ * @param {object} res - The response.
+ * @param {number} callers - How many callers asked for the URL.
+ * @returns {Promise<object>} - A response-like object ({ ok, status, statusText, headers, json() }).
+ */
+async function toSharedResponse(res, callers) {
+  const body = res.ok ? await res.json() : null;
+  const snapshot = callers > 1 ? JSON.stringify(body) : null;
+  let handedOut = false;
+  return {
+    ok: res.ok,
+    status: res.status,
+    statusText: res.statusText,
+    headers: res.headers,
+    json: async () => {
+      if (!handedOut) {
+        handedOut = true;
+        return body;
+      }
+      return JSON.parse(snapshot ?? JSON.stringify(body));
+    },
+  };
+}
+
+/**
+ * Creates a scheduler for upstream Sleeper requests. It
+ * - runs at most `concurrency` requests at once and queues the rest,
+ * - retries network errors, 429s and 5xx responses with exponential backoff (honouring
+ *   `Retry-After` up to `maxRetryAfterMs`, and giving up on the response when it asks for longer), and
+ * - shares one request between all callers asking for the same URL while it is in flight.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Requests allowed at the same time.
+ * @param {number} [options.retries=DEFAULT_RETRIES] - Retries after the first attempt.
+ * @param {number} [options.retryDelayMs=DEFAULT_RETRY_DELAY_MS] - Delay before the first retry.
+ * @param {number} [options.maxRetryAfterMs=DEFAULT_MAX_RETRY_AFTER_MS] - Longest `Retry-After` to wait for.
+ * @param {function(number): Promise<void>} [options.sleep] - Waits between retries; tests pass a fake.
+ * @returns {object} - The scheduler ({ fetch(url, fetcher), stats() }).
+ */
+export function createRequestScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  maxRetryAfterMs = DEFAULT_MAX_RETRY_AFTER_MS,
+  sleep = defaultSleep,
+} = {}) {
+  const inFlight = new Map();
+  const waiting = [];
+  let active = 0;
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  // Hand the slot straight to the next queued request, if there is one
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+
+  async function fetchWithRetries(url, fetcher) {
+    for (let attempt = 0; ; attempt++) {
+      let res = null;
+      let error = null;
+      await acquire();
+      try {
+        res = await fetcher(url);
+      } catch (e) {
+        error = e;
+      } finally {
+        release();
+      }
+
+      const retryAfter = retryAfterMs(res);
+      if (!isRetryable(res) || attempt >= retries || retryAfter > maxRetryAfterMs) {
+        if (error) throw error;
+        return res;
+      }
+
+      // The slot is free while we wait, so other requests keep going
+      const delay = retryAfter ?? retryDelayMs * 2 ** attempt;
+      console.warn(`Sleeper request failed (${error ? error.message : `Status: ${res.status}`}), retrying in ${delay}ms: ${url}`);
+      await sleep(delay);
+    }
+  }
+
+  return {
+    /**
+     * Fetches a URL through the scheduler.
+     * @param {string} url - The URL to fetch.
+     * @param {function(string): Promise<object>} fetcher - Performs the actual request, e.g. `fetch`.
+     * @returns {Promise<object>} - A promise that resolves to a response-like object ({ ok, status, statusText, headers, json() }).
+     */
+    fetch(url, fetcher) {
+      const shared = inFlight.get(url);
+      if (shared) {
+        shared.callers += 1;
+        return shared.request;
+      }
+
+      // Stop sharing as soon as the response is in, so the number of callers is final
+      const entry = { callers: 1 };
+      entry.request = fetchWithRetries(url, fetcher).then(
+        (res) => {
+          inFlight.delete(url);
+          return toSharedResponse(res, entry.callers);
+        },
+        (error) => {
+          inFlight.delete(url);
+          throw error;
+        }
+      );
+      inFlight.set(url, entry);
+      return entry.request;
+    },
+
+    /**
+     * Reports how busy the scheduler is.
+     * @returns {object} - { active, queued, in_flight }.
+     */
+    stats() {
+      return { active, queued: waiting.length, in_flight: inFlight.size };
+    },
+  };
+}
+
+/**
+ * Returns the scheduler shared by every request of this process, so the concurrency cap
+ * holds across concurrent API requests too.
+ * @returns {object} - The scheduler.
+ */
+export function getDefaultScheduler() {
+  if (!globalThis.__sleeperScheduler) {
+    globalThis.__sleeperScheduler = createRequestScheduler();
+  }
+  return globalThis.__sleeperScheduler;
+}
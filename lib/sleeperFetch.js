@@ -0,0 +1,103 @@
+// lib/sleeperFetch.js
+
+import { getDefaultCache } from './cache';
+
+// How long data for seasons that are still running stays cached
+export const IN_PROGRESS_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Returns the cache key for a Sleeper API URL: its path, e.g. `/league/123/rosters`.
+ * @param {string} url - The Sleeper API URL.
+ * @returns {string} - The cache key.
+ */
+function cacheKeyFor(url) {
+  return new URL(url).pathname.replace(/^\/v1/, '');
+}
+
+/**
+ * Decides how long a Sleeper response may be cached. Everything under a league or draft
+ * whose status is `complete` never changes, so it is kept forever; anything else gets a short TTL.
+ * @param {string} key - The cache key of the response.
+ * @param {*} body - The parsed response body.
+ * @param {object} cache - The cache holding earlier responses.
+ * @returns {Promise<number|null>} - The TTL in milliseconds, or null to cache permanently.
+ */
+async function ttlFor(key, body, cache) {
+  const resourceMatch = key.match(/^\/(league|draft)\/([^/]+)(\/.*)?$/);
+  if (!resourceMatch) return IN_PROGRESS_TTL_MS;
+
+  const [, resource, resourceId, subPath] = resourceMatch;
+  const parent = subPath ? await cache.get(`/${resource}/${resourceId}`) : body;
+  return parent && parent.status === 'complete' ? null : IN_PROGRESS_TTL_MS;
+}
+
+/**
+ * Wraps a parsed body in the parts of the fetch Response interface the aggregators use.
+ * @param {*} body - The parsed response body.
+ * @returns {object} - A response-like object ({ ok, status, statusText, json() }).
+ */
+function cachedResponse(body) {
+  return { ok: true, status: 200, statusText: 'OK', json: async () => body };
+}
+
+/**
+ * Fetches a Sleeper API URL through the cache. Only successful responses are cached;
+ * failed ones are returned as they are so callers can handle the status.
+ * @param {string} url - The Sleeper API URL.
+ * @param {function(string): Promise<object>} [fetchFromSleeper=fetch] - Performs the request on a cache miss.
+ * @returns {Promise<object>} - A promise that resolves to a response-like object ({ ok, status, statusText, json() }).
+ */
+export async function sleeperFetch(url, fetchFromSleeper = fetch) {
+  const cache = getDefaultCache();
+  const key = cacheKeyFor(url);
+
+  const cached = await cache.get(key);
+  if (cached !== undefined) {
+    return cachedResponse(cached);
+  }
+
+  const res = await fetchFromSleeper(url);
+  if (!res.ok) return res;
+
+  const body = await res.json();
+  await cache.set(key, body, { ttl: await ttlFor(key, body, cache) });
+  return cachedResponse(body);
+}
+
+/**
+ * Drops every cached response for a league, its drafts and all of its previous seasons,
+ * so the next request fetches them from Sleeper again.
+ * @param {string} leagueId - The ID of the most recent league.
+ */
+export async function clearLeagueCache(leagueId) {
+  const cache = getDefaultCache();
+  let currentLeagueId = leagueId;
+
+  while (currentLeagueId && currentLeagueId !== '0') {
+    // Read the cached league and drafts before deleting them to find what else to clear
+    const league = await cache.get(`/league/${currentLeagueId}`);
+    const drafts = await cache.get(`/league/${currentLeagueId}/drafts`);
+    for (const draft of drafts || []) {
+      await cache.delete(`/draft/${draft.draft_id}`);
+      await cache.deleteByPrefix(`/draft/${draft.draft_id}/`);
+    }
+    await cache.delete(`/league/${currentLeagueId}`);
+    await cache.deleteByPrefix(`/league/${currentLeagueId}/`);
+    console.log(`Cleared cached Sleeper data for league ${currentLeagueId}`);
+    currentLeagueId = league ? league.previous_league_id : null;
+  }
+}
+
+/**
+ * Drops the cached lookups for a Sleeper user.
+ * @param {string} username - The Sleeper username.
+ */
+export async function clearUserCache(username) {
+  const cache = getDefaultCache();
+  const userKey = `/user/${encodeURIComponent(username)}`;
+  const user = await cache.get(userKey);
+  await cache.delete(userKey);
+  if (user && user.user_id) {
+    await cache.deleteByPrefix(`/user/${user.user_id}/`);
+  }
+}
@@ -0,0 +1,24 @@
+// pages/league/[leagueId]/index.js
+
+import React from 'react';
+import { useRouter } from 'next/router';
+import LeagueHistory from '../../../components/LeagueHistory';
+import LoadingSpinner from '../../../components/LoadingSpinner';
+
+/**
+ * League Page
+ * Shows the history of the league given in the URL, e.g. /league/1181984921049018368.
+ */
+const LeaguePage = () => {
+  const router = useRouter();
+  const { leagueId } = router.query;
+
+  // The dynamic route parameter is only available once the router is ready
+  if (!router.isReady || !leagueId) {
+    return <LoadingSpinner />;
+  }
+
+  return <LeagueHistory leagueId={leagueId} />;
+};
+
+export default LeaguePage;
@@ -0,0 +1,39 @@
+// pages/league/[leagueId]/rules.js
+
+import React from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import LeagueRules from '../../../components/LeagueRules';
+import LoadingSpinner from '../../../components/LoadingSpinner';
+
+/**
+ * Rules Page
+ * The scoring and settings history of the league given in the URL, e.g. /league/1181984921049018368/rules.
+ */
+const RulesPage = () => {
+  const router = useRouter();
+  const { leagueId } = router.query;
+
+  // The dynamic route parameter is only available once the router is ready
+  if (!router.isReady || !leagueId) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen bg-primary text-textLight p-4 sm:p-6 lg:p-8 font-inter">
+      <div className="max-w-5xl mx-auto">
+        <h1 className="text-3xl sm:text-4xl font-bold text-accent mb-8 text-center rounded-lg p-3 bg-cardBg shadow-lg">
+          League Rules
+        </h1>
+
+        <div className="mb-6 text-center">
+          <Link href={`/league/${leagueId}`} className="text-accent hover:underline">&larr; Back to league history</Link>
+        </div>
+
+        <LeagueRules leagueId={leagueId} />
+      </div>
+    </div>
+  );
+};
+
+export default RulesPage;
@@ -0,0 +1,264 @@
+// pages/manager/[userId].js
+
+import React, { useState, useEffect } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import ManagerLink from '../../components/ManagerLink';
+import { formatRecord, ordinal } from '../../lib/format';
+
+// Describes how a season ended for the manager
+const describeFinish = (season) => {
+  if (season.status !== 'complete') return 'In progress';
+  if (season.champion) return 'Champion';
+  if (season.final_place) return `${ordinal(season.final_place)} place`;
+  return season.made_playoffs ? 'Made playoffs' : 'Missed playoffs';
+};
+
+const headerClassName = 'px-4 py-2 text-left text-sm font-medium text-textLight uppercase tracking-wider';
+const cellClassName = 'px-4 py-2 whitespace-nowrap text-textLight';
+
+/**
+ * Manager Profile Page
+ * One manager's career in a league, e.g. /manager/461734009312534528?leagueId=1181984921049018368:
+ * team names over time, every season's finish and record, playoff results and titles, best and
+ * worst weeks, and the all-time record against every opponent.
+ */
+const ManagerPage = () => {
+  const router = useRouter();
+  const { userId, leagueId } = router.query;
+
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!router.isReady || !userId || !leagueId) return;
+
+    const fetchProfile = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await fetch(`/api/league-data?dataType=manager&leagueId=${leagueId}&managerId=${encodeURIComponent(userId)}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP error! status: ${res.status}`);
+        }
+        setProfile(data);
+      } catch (e) {
+        console.error("Error fetching manager profile:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [router.isReady, userId, leagueId]);
+
+  if (!router.isReady) {
+    return <LoadingSpinner />;
+  }
+
+  if (!leagueId) {
+    return (
+      <div className="flex flex-col justify-center items-center min-h-screen bg-primary text-textLight p-4 gap-4">
+        <p>Manager profiles belong to a league. Open this page from a league&apos;s history.</p>
+        <Link href="/" className="text-accent hover:underline">&larr; Choose a league</Link>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="flex flex-col justify-center items-center min-h-screen bg-primary text-red-400 p-4 gap-4">
+        <p>Error: {error}</p>
+        <Link href={`/league/${leagueId}`} className="text-accent hover:underline">&larr; Back to league history</Link>
+      </div>
+    );
+  }
+
+  const { manager, career, seasons } = profile;
+  const playoffSeasons = seasons.filter(season => season.playoff_games.length > 0);
+
+  return (
+    <div className="min-h-screen bg-primary text-textLight p-4 sm:p-6 lg:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center gap-4 mb-8 rounded-lg p-3 bg-cardBg shadow-lg">
+          {/* Sleeper's avatars are already thumbnails on its CDN, so they are not optimized again */}
+          {manager.avatar && <Image src={manager.avatar} alt="" width={64} height={64} unoptimized className="w-16 h-16 rounded-full" />}
+          <div>
+            <h1 className="text-3xl sm:text-4xl font-bold text-accent">{manager.name}</h1>
+            {profile.titles.length > 0 && (
+              <p className="text-yellow-400 font-semibold">
+                {profile.titles.length}x champion ({profile.titles.join(', ')})
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="mb-6 text-center">
+          <Link href={`/league/${leagueId}`} className="text-accent hover:underline">&larr; Back to league history</Link>
+        </div>
+
+        {profile.failed_seasons.length > 0 && (
+          <div className="bg-cardBg border border-red-400 text-red-400 p-4 rounded-lg shadow-lg mb-8" role="alert">
+            <p className="font-semibold">Some seasons could not be loaded from Sleeper and are missing below:</p>
+            <ul className="list-disc ml-6 text-sm">
+              {profile.failed_seasons.map(failed => (
+                <li key={failed.league_id}>
+                  {failed.season ? `Season ${failed.season}` : `League ${failed.league_id} and any earlier seasons`}: {failed.error}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Career Summary */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-8">
+          {[
+            ['Regular Season', `${formatRecord(career)} (${(career.win_pct * 100).toFixed(1)}%)`],
+            ['Points For', career.points_for.toFixed(2)],
+            ['Playoffs', `${career.playoff_appearances} of ${career.seasons}`],
+            ['Titles', career.titles],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-cardBg p-4 rounded-lg shadow-lg text-center">
+              <p className="text-sm text-gray-400">{label}</p>
+              <p className="text-xl font-bold text-textLight">{value}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Seasons */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Season by Season</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+              <thead className="bg-secondary">
+                <tr>
+                  <th className={headerClassName}>Season</th>
+                  <th className={headerClassName}>Team</th>
+                  <th className={headerClassName}>Record</th>
+                  <th className={headerClassName}>Points For</th>
+                  <th className={headerClassName}>Points Against</th>
+                  <th className={headerClassName}>Regular Season</th>
+                  <th className={headerClassName}>Finish</th>
+                </tr>
+              </thead>
+              <tbody className="bg-cardBg divide-y divide-secondary">
+                {seasons.map(season => (
+                  <tr key={season.season} className="hover:bg-inputBg transition-colors duration-200">
+                    <td className={cellClassName}>{season.season}</td>
+                    <td className={cellClassName}>{season.team_name || '-'}</td>
+                    <td className={cellClassName}>{formatRecord(season)}</td>
+                    <td className={cellClassName}>{season.points_for.toFixed(2)}</td>
+                    <td className={cellClassName}>{season.points_against.toFixed(2)}</td>
+                    <td className={cellClassName}>{ordinal(season.regular_season_rank)} of {season.teams}</td>
+                    <td className={`${cellClassName} ${season.champion ? 'font-bold text-yellow-400' : ''}`}>{describeFinish(season)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Playoff Results */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg mb-8">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Playoff Results</h2>
+          {playoffSeasons.length === 0 ? (
+            <p className="text-textLight">No playoff games yet.</p>
+          ) : (
+            <div className="space-y-4">
+              {playoffSeasons.map(season => (
+                <div key={season.season}>
+                  <h3 className="text-lg font-bold text-accent">{season.season} &middot; {describeFinish(season)}</h3>
+                  <ul className="text-sm space-y-1 mt-1">
+                    {season.playoff_games.map(game => (
+                      <li key={game.week}>
+                        <span className={game.result === 'W' ? 'text-green-400' : game.result === 'L' ? 'text-red-400' : 'text-textLight'}>{game.result}</span>
+                        {' '}Week {game.week} vs <ManagerLink leagueId={leagueId} managerId={game.opponent_id}>{game.opponent}</ManagerLink>
+                        {' '}{game.points.toFixed(2)} - {game.opponent_points.toFixed(2)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Best and Worst Weeks */}
+        <div className="grid gap-6 md:grid-cols-2 mb-8">
+          {[['Best Weeks', profile.best_weeks], ['Worst Weeks', profile.worst_weeks]].map(([title, weeks]) => (
+            <div key={title} className="bg-cardBg p-6 rounded-lg shadow-lg">
+              <h2 className="text-xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">{title}</h2>
+              {weeks.length === 0 ? (
+                <p className="text-textLight">No games played yet.</p>
+              ) : (
+                <ol className="space-y-2">
+                  {weeks.map((game, index) => (
+                    <li key={`${game.season}-${game.week}`} className="flex items-start gap-3">
+                      <span className="w-6 text-right text-gray-400">{index + 1}.</span>
+                      <div className="flex-1">
+                        <div className="flex justify-between">
+                          <span className="font-semibold">{game.season} Week {game.week}</span>
+                          <span className="font-bold text-accent">{game.points.toFixed(2)}</span>
+                        </div>
+                        <span className="block text-xs text-gray-400">
+                          {game.result === 'W' ? 'Won' : game.result === 'L' ? 'Lost' : 'Tied'} vs {game.opponent} ({game.opponent_points.toFixed(2)}){game.playoffs ? ' · playoffs' : ''}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Record vs Opponents */}
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Record vs Opponents</h2>
+          {profile.opponents.length === 0 ? (
+            <p className="text-textLight">No games played yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-secondary rounded-lg overflow-hidden">
+                <thead className="bg-secondary">
+                  <tr>
+                    <th className={headerClassName}>Opponent</th>
+                    <th className={headerClassName}>Games</th>
+                    <th className={headerClassName}>Record</th>
+                    <th className={headerClassName}>Points For</th>
+                    <th className={headerClassName}>Points Against</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-cardBg divide-y divide-secondary">
+                  {profile.opponents.map(opponent => (
+                    <tr key={opponent.manager_id} className="hover:bg-inputBg transition-colors duration-200">
+                      <td className={cellClassName}>
+                        <ManagerLink leagueId={leagueId} managerId={opponent.manager_id}>{opponent.name}</ManagerLink>
+                      </td>
+                      <td className={cellClassName}>{opponent.games}</td>
+                      <td className={cellClassName}>{formatRecord(opponent)}</td>
+                      <td className={cellClassName}>{opponent.points_for.toFixed(2)}</td>
+                      <td className={cellClassName}>{opponent.points_against.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManagerPage;
@@ -0,0 +1,98 @@
+// pages/user/[username].js
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { getCurrentSeason, getSeasonOptions } from '../../lib/seasons';
+
+/**
+ * User Leagues Page
+ * Lists the NFL leagues a Sleeper user belongs to for a season, e.g. /user/someone?season=2024,
+ * so a league can be picked without knowing its ID.
+ */
+const UserLeaguesPage = () => {
+  const router = useRouter();
+  const { username } = router.query;
+  const season = router.query.season || String(getCurrentSeason());
+
+  const [userLeagues, setUserLeagues] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!router.isReady || !username) return;
+
+    const fetchLeagues = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await fetch(`/api/league-data?dataType=user_leagues&username=${encodeURIComponent(username)}&season=${encodeURIComponent(season)}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP error! status: ${res.status}`);
+        }
+        setUserLeagues(data);
+      } catch (e) {
+        console.error("Error fetching user leagues:", e);
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLeagues();
+  }, [router.isReady, username, season]);
+
+  const handleSeasonChange = (event) => {
+    router.push(`/user/${encodeURIComponent(username)}?season=${encodeURIComponent(event.target.value)}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-primary text-textLight p-4 sm:p-6 lg:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl sm:text-4xl font-bold text-accent mb-8 text-center rounded-lg p-3 bg-cardBg shadow-lg">
+          {userLeagues?.user?.display_name || username || 'Sleeper User'}&apos;s Leagues
+        </h1>
+
+        <div className="mb-6 flex items-center justify-between">
+          <Link href="/" className="text-accent hover:underline">&larr; Back</Link>
+          <select
+            value={season}
+            onChange={handleSeasonChange}
+            className="px-4 py-2 rounded-lg bg-inputBg text-textLight focus:outline-none focus:ring-2 focus:ring-accent"
+          >
+            {getSeasonOptions().map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="bg-cardBg p-6 rounded-lg shadow-lg">
+          <h2 className="text-2xl font-semibold text-textLight mb-4 border-b border-secondary pb-2">Season {season}</h2>
+          {loading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-red-400">Error: {error}</p>
+          ) : userLeagues.leagues.length === 0 ? (
+            <p className="text-textLight">No NFL leagues found for this user in {season}.</p>
+          ) : (
+            <ul className="divide-y divide-secondary">
+              {userLeagues.leagues.map(league => (
+                <li key={league.league_id} className="py-2">
+                  <Link href={`/league/${league.league_id}`} className="flex items-center justify-between hover:bg-inputBg rounded-lg px-2 py-1 transition-colors duration-200">
+                    <span className="text-accent">{league.name}</span>
+                    <span className="text-sm text-textLight">{league.total_rosters} teams &middot; {league.status}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UserLeaguesPage;
@@ -0,0 +1,70 @@
+// scripts/recordFixtures.mjs
+//
+// Records a league's full history from the Sleeper API into a fixture file that
+// lib/sleeper/fixtures.js can serve offline (tests, or `SLEEPER_FIXTURES=<file> next dev`).
+//
+// Usage: node scripts/recordFixtures.mjs <leagueId> [outputFile]
+
+import { writeFile } from 'node:fs/promises';
+
+const BASE_URL = process.env.SLEEPER_API_BASE_URL || 'https://api.sleeper.app/v1';
+const [leagueId, outputFile = 'fixtures/sleeper-lineage.json'] = process.argv.slice(2);
+
+if (!leagueId) {
+  console.error('Usage: node scripts/recordFixtures.mjs <leagueId> [outputFile]');
+  process.exit(1);
+}
+
+const responses = {};
+
+/**
+ * Fetches a Sleeper API path and records its body. Paths Sleeper answers with a 404 are not
+ * recorded, so the fixture answers them with a 404 too.
+ * @param {string} path - The API path, e.g. `/league/123/rosters`.
+ * @returns {Promise<*>} - The parsed body, or null for a 404.
+ */
+async function record(path) {
+  const res = await fetch(`${BASE_URL}${path}`);
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Sleeper API error (${path}): ${res.statusText} (Status: ${res.status})`);
+  const body = await res.json();
+  responses[path] = body;
+  return body;
+}
+
+const playerIds = new Set();
+let currentLeagueId = leagueId;
+
+while (currentLeagueId && currentLeagueId !== '0') {
+  const league = await record(`/league/${currentLeagueId}`);
+  if (!league) break;
+  console.log(`Recording ${league.season} (${currentLeagueId})`);
+
+  const rosters = await record(`/league/${currentLeagueId}/rosters`);
+  await record(`/league/${currentLeagueId}/users`);
+  await record(`/league/${currentLeagueId}/winners_bracket`);
+  await record(`/league/${currentLeagueId}/losers_bracket`);
+  (rosters || []).forEach(roster => (roster.players || []).forEach(id => playerIds.add(id)));
+
+  for (let week = 1; week <= 18; week++) {
+    const matchups = await record(`/league/${currentLeagueId}/matchups/${week}`);
+    (matchups || []).forEach(matchup => (matchup.players || []).forEach(id => playerIds.add(id)));
+    const transactions = await record(`/league/${currentLeagueId}/transactions/${week}`);
+    (transactions || []).forEach(transaction => Object.keys(transaction.adds || {}).forEach(id => playerIds.add(id)));
+  }
+
+  for (const draft of (await record(`/league/${currentLeagueId}/drafts`)) || []) {
+    await record(`/draft/${draft.draft_id}`);
+    const picks = await record(`/draft/${draft.draft_id}/picks`);
+    (picks || []).forEach(pick => playerIds.add(pick.player_id));
+  }
+
+  currentLeagueId = league.previous_league_id;
+}
+
+// The full player dictionary is several megabytes; keep only the players the league used
+const players = await fetch(`${BASE_URL}/players/nfl`).then(res => res.json());
+responses['/players/nfl'] = Object.fromEntries(Array.from(playerIds).filter(id => players[id]).map(id => [id, players[id]]));
+
+await writeFile(outputFile, `${JSON.stringify({ league_id: leagueId, recorded_at: new Date().toISOString(), responses }, null, 1)}\n`);
+console.log(`Recorded ${Object.keys(responses).length} responses to ${outputFile}`);